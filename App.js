@@ -2,35 +2,38 @@ import React, { useEffect, useState } from 'react';
 import { NavigationContainer } from '@react-navigation/native';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
-import { PaperProvider, MD3LightTheme, ActivityIndicator } from 'react-native-paper';
+import { ActivityIndicator, useTheme } from 'react-native-paper';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
+import { StatusBar } from 'expo-status-bar';
 import { View, StyleSheet } from 'react-native';
 import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
 
 import { AuthProvider, useAuth } from './src/contexts/AuthContext';
 import { DataProvider } from './src/contexts/DataContext';
+import { RestTimerProvider } from './src/contexts/RestTimerContext';
+import { ThemeProvider, useThemeMode, useThemedStyles } from './src/contexts/ThemeContext';
 import AuthScreen from './src/screens/AuthScreen';
 import TodayScreen from './src/screens/TodayScreen';
 import HistoryScreen from './src/screens/HistoryScreen';
 import SettingsScreen from './src/screens/SettingsScreen';
 import CreateExerciseScreen from './src/screens/CreateExerciseScreen';
 import AddSetScreen from './src/screens/AddSetScreen';
+import RoutinesScreen from './src/screens/RoutinesScreen';
+import EditRoutineScreen from './src/screens/EditRoutineScreen';
+import PersonalRecordsScreen from './src/screens/PersonalRecordsScreen';
+import ExerciseDetailScreen from './src/screens/ExerciseDetailScreen';
+import ImportScreen from './src/screens/ImportScreen';
+import BackupScreen from './src/screens/BackupScreen';
+import RemindersScreen from './src/screens/RemindersScreen';
+import SupersetScreen from './src/screens/SupersetScreen';
+import ReorderSetsScreen from './src/screens/ReorderSetsScreen';
 
 const Tab = createBottomTabNavigator();
 const Stack = createNativeStackNavigator();
 
-const theme = {
-  ...MD3LightTheme,
-  colors: {
-    ...MD3LightTheme.colors,
-    primary: '#6750A4',
-    primaryContainer: '#EADDFF',
-    secondary: '#625B71',
-    secondaryContainer: '#E8DEF8',
-  },
-};
-
 function TabNavigator() {
+  const { colors } = useTheme();
+
   return (
     <Tab.Navigator
       screenOptions={({ route }) => ({
@@ -45,13 +48,13 @@ function TabNavigator() {
           }
           return <MaterialCommunityIcons name={iconName} size={size} color={color} />;
         },
-        tabBarActiveTintColor: '#6750A4',
-        tabBarInactiveTintColor: 'gray',
+        tabBarActiveTintColor: colors.primary,
+        tabBarInactiveTintColor: colors.onSurfaceVariant,
         headerShown: false,
         tabBarStyle: {
-          backgroundColor: 'white',
+          backgroundColor: colors.surface,
           borderTopWidth: 1,
-          borderTopColor: '#E0E0E0',
+          borderTopColor: colors.outlineVariant,
           elevation: 8,
           height: 60,
           paddingBottom: 8,
@@ -109,30 +112,87 @@ function AppNavigator() {
           animation: 'slide_from_bottom',
         }}
       />
+      <Stack.Screen name="Routines" component={RoutinesScreen} />
+      <Stack.Screen name="PersonalRecords" component={PersonalRecordsScreen} />
+      <Stack.Screen name="ExerciseDetail" component={ExerciseDetailScreen} />
+      <Stack.Screen 
+        name="EditRoutine" 
+        component={EditRoutineScreen}
+        options={{
+          presentation: 'modal',
+          animation: 'slide_from_bottom',
+        }}
+      />
+      <Stack.Screen 
+        name="Import" 
+        component={ImportScreen}
+        options={{
+          presentation: 'modal',
+          animation: 'slide_from_bottom',
+        }}
+      />
+      <Stack.Screen 
+        name="Backup" 
+        component={BackupScreen}
+        options={{
+          presentation: 'modal',
+          animation: 'slide_from_bottom',
+        }}
+      />
+      <Stack.Screen 
+        name="Reminders" 
+        component={RemindersScreen}
+        options={{
+          presentation: 'modal',
+          animation: 'slide_from_bottom',
+        }}
+      />
+      <Stack.Screen 
+        name="Superset" 
+        component={SupersetScreen}
+        options={{
+          presentation: 'modal',
+          animation: 'slide_from_bottom',
+        }}
+      />
+      <Stack.Screen 
+        name="ReorderSets" 
+        component={ReorderSetsScreen}
+        options={{
+          presentation: 'modal',
+          animation: 'slide_from_bottom',
+        }}
+      />
     </Stack.Navigator>
   );
 }
 
 function LoadingScreen() {
+  const styles = useThemedStyles(createStyles);
+
   return (
     <View style={styles.loadingContainer}>
-      <ActivityIndicator size="large" color="#6750A4" />
+      <ActivityIndicator size="large" />
     </View>
   );
 }
 
 function AppContent() {
-  const { user, loading } = useAuth();
+  const { user, loading, migrating } = useAuth();
+  const { isDark, navigationTheme } = useThemeMode();
 
-  if (loading) {
+  if (loading || migrating) {
     return <LoadingScreen />;
   }
 
   return (
-    <NavigationContainer>
+    <NavigationContainer theme={navigationTheme}>
+      <StatusBar style={isDark ? 'light' : 'dark'} />
       {user ? (
         <DataProvider>
-          <AppNavigator />
+          <RestTimerProvider>
+            <AppNavigator />
+          </RestTimerProvider>
         </DataProvider>
       ) : (
         <AuthScreen />
@@ -144,20 +204,20 @@ function AppContent() {
 export default function App() {
   return (
     <SafeAreaProvider>
-      <PaperProvider theme={theme}>
-        <AuthProvider>
+      <AuthProvider>
+        <ThemeProvider>
           <AppContent />
-        </AuthProvider>
-      </PaperProvider>
+        </ThemeProvider>
+      </AuthProvider>
     </SafeAreaProvider>
   );
 }
 
-const styles = StyleSheet.create({
+const createStyles = (theme) => StyleSheet.create({
   loadingContainer: {
     flex: 1,
     justifyContent: 'center',
     alignItems: 'center',
-    backgroundColor: '#f5f5f5',
+    backgroundColor: theme.colors.background,
   },
 });
@@ -0,0 +1,133 @@
+import React, { useRef, useState } from 'react';
+import { View, StyleSheet, Animated, PanResponder } from 'react-native';
+import { Icon, useTheme } from 'react-native-paper';
+import { useThemedStyles } from '../contexts/ThemeContext';
+
+const ROW_HEIGHT = 56;
+
+const moveItem = (items, from, to) => {
+  const moved = [...items];
+  const [item] = moved.splice(from, 1);
+  moved.splice(to, 0, item);
+  return moved;
+};
+
+// The handle keeps one responder for its whole life and reads the latest
+// row index and callbacks through refs, so a drag survives re-renders.
+function DragHandle({ index, handlersRef }) {
+  const theme = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const indexRef = useRef(index);
+  indexRef.current = index;
+
+  const responder = useRef(PanResponder.create({
+    onStartShouldSetPanResponder: () => true,
+    onMoveShouldSetPanResponder: () => true,
+    onPanResponderTerminationRequest: () => false,
+    onPanResponderGrant: () => handlersRef.current.start(indexRef.current),
+    onPanResponderMove: (_, { dy }) => handlersRef.current.move(indexRef.current, dy),
+    onPanResponderRelease: (_, { dy }) => handlersRef.current.end(indexRef.current, dy),
+    onPanResponderTerminate: (_, { dy }) => handlersRef.current.end(indexRef.current, dy),
+  })).current;
+
+  return (
+    <View {...responder.panHandlers} style={styles.handle} accessibilityLabel="Drag to reorder">
+      <Icon source="drag" size={24} color={theme.colors.onSurfaceVariant} />
+    </View>
+  );
+}
+
+// List of fixed-height rows reordered by dragging their handle. Calls
+// `onReorder(items)` with the new order when a row is dropped somewhere
+// else, and `onDragChange(dragging)` so a parent ScrollView can stop
+// scrolling during a drag.
+export default function ReorderableList({
+  items,
+  keyExtractor,
+  renderItem,
+  onReorder,
+  onDragChange
+}) {
+  const styles = useThemedStyles(createStyles);
+  const [drag, setDrag] = useState(null);
+  const offset = useRef(new Animated.Value(0)).current;
+
+  const targetFor = (from, dy) =>
+    Math.max(0, Math.min(items.length - 1, from + Math.round(dy / ROW_HEIGHT)));
+
+  const handlersRef = useRef(null);
+  handlersRef.current = {
+    start: (from) => {
+      offset.setValue(0);
+      setDrag({ from, to: from });
+      onDragChange?.(true);
+    },
+    move: (from, dy) => {
+      offset.setValue(dy);
+      const to = targetFor(from, dy);
+      setDrag(prev => (prev && prev.to !== to ? { from, to } : prev));
+    },
+    end: (from, dy) => {
+      const to = targetFor(from, dy);
+      offset.setValue(0);
+      setDrag(null);
+      onDragChange?.(false);
+      if (to !== from) onReorder(moveItem(items, from, to));
+    },
+  };
+
+  // Rows between the dragged row and its target slide over to make room
+  const shiftFor = (index) => {
+    if (!drag || index === drag.from) return 0;
+    if (drag.from < index && index <= drag.to) return -ROW_HEIGHT;
+    if (drag.to <= index && index < drag.from) return ROW_HEIGHT;
+    return 0;
+  };
+
+  return (
+    <View>
+      {items.map((item, index) => {
+        const active = drag?.from === index;
+        return (
+          <Animated.View
+            key={keyExtractor(item)}
+            style={[
+              styles.row,
+              { transform: [{ translateY: active ? offset : shiftFor(index) }] },
+              active && styles.activeRow,
+            ]}
+          >
+            <View style={styles.content}>{renderItem(item, index)}</View>
+            <DragHandle index={index} handlersRef={handlersRef} />
+          </Animated.View>
+        );
+      })}
+    </View>
+  );
+}
+
+const createStyles = (theme) => StyleSheet.create({
+  row: {
+    height: ROW_HEIGHT,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: theme.colors.surface,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: theme.colors.outlineVariant,
+  },
+  activeRow: {
+    zIndex: 1,
+    elevation: 4,
+    backgroundColor: theme.colors.secondaryContainer,
+  },
+  content: {
+    flex: 1,
+    paddingLeft: 8,
+  },
+  handle: {
+    width: 48,
+    height: ROW_HEIGHT,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+});
@@ -0,0 +1,79 @@
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Text, Card, Button, IconButton, ProgressBar } from 'react-native-paper';
+import { useRestTimer, REST_ADJUST_SECONDS } from '../contexts/RestTimerContext';
+import { useThemedStyles } from '../contexts/ThemeContext';
+import { formatElapsed } from '../lib/dates';
+
+export default function RestTimerBanner() {
+  const styles = useThemedStyles(createStyles);
+  const { restTimer, remainingSeconds, adjustRest, skipRest } = useRestTimer();
+
+  if (!restTimer) return null;
+
+  const progress = restTimer.duration > 0
+    ? 1 - remainingSeconds / restTimer.duration
+    : 1;
+
+  return (
+    <Card style={styles.card}>
+      <Card.Content>
+        <View style={styles.row}>
+          <View style={styles.info}>
+            <Text style={styles.label}>
+              Rest{restTimer.label ? ` · ${restTimer.label}` : ''}
+            </Text>
+            <Text style={styles.remaining}>{formatElapsed(remainingSeconds * 1000)}</Text>
+          </View>
+          <IconButton
+            icon="minus"
+            mode="outlined"
+            size={18}
+            onPress={() => adjustRest(-REST_ADJUST_SECONDS)}
+            accessibilityLabel={`Remove ${REST_ADJUST_SECONDS} seconds`}
+          />
+          <IconButton
+            icon="plus"
+            mode="outlined"
+            size={18}
+            onPress={() => adjustRest(REST_ADJUST_SECONDS)}
+            accessibilityLabel={`Add ${REST_ADJUST_SECONDS} seconds`}
+          />
+          <Button mode="text" compact onPress={skipRest}>
+            Skip
+          </Button>
+        </View>
+        <ProgressBar progress={Math.min(1, Math.max(0, progress))} style={styles.progress} />
+      </Card.Content>
+    </Card>
+  );
+}
+
+const createStyles = (theme) => StyleSheet.create({
+  card: {
+    marginHorizontal: 20,
+    marginBottom: 20,
+    elevation: 2,
+    backgroundColor: theme.colors.primaryContainer,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  info: {
+    flex: 1,
+  },
+  label: {
+    fontSize: 12,
+    color: theme.colors.onSurfaceVariant,
+  },
+  remaining: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: theme.colors.primary,
+  },
+  progress: {
+    marginTop: 8,
+    borderRadius: 4,
+  },
+});
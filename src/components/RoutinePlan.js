@@ -0,0 +1,121 @@
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Text, IconButton, ProgressBar, useTheme } from 'react-native-paper';
+import { useThemedStyles } from '../contexts/ThemeContext';
+import { formatPlanTarget, getPlanProgress } from '../lib/routines';
+
+// Planned vs done for a workout. Once the workout is `finished` the plan is
+// only shown: logging from it would start a new session without the plan.
+export default function RoutinePlan({
+  plan,
+  sets,
+  exercises,
+  getWeightUnit,
+  finished,
+  onTick,
+  onAdjust
+}) {
+  const theme = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const progress = getPlanProgress(plan, sets);
+  const totalPlanned = progress.reduce((sum, item) => sum + item.sets, 0);
+  const totalDone = progress.reduce((sum, item) => sum + item.done, 0);
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Plan</Text>
+        <Text style={styles.summary}>{totalDone}/{totalPlanned} sets</Text>
+      </View>
+      <ProgressBar
+        progress={totalPlanned > 0 ? totalDone / totalPlanned : 0}
+        style={styles.progress}
+      />
+
+      {progress.map((item, index) => {
+        const exercise = exercises.find(ex => ex.id === item.exercise_id);
+        const complete = item.remaining === 0;
+
+        return (
+          <View key={`${item.exercise_id}-${index}`} style={styles.row}>
+            <View style={styles.info}>
+              <Text style={[styles.exerciseName, complete && styles.complete]}>
+                {exercise?.name || 'Unknown Exercise'}
+              </Text>
+              <Text style={styles.target}>
+                {formatPlanTarget(item, getWeightUnit(item.exercise_id))} · {item.done}/{item.sets} done
+              </Text>
+            </View>
+            {complete ? (
+              <IconButton icon="check-circle" iconColor={theme.colors.success} size={22} />
+            ) : !finished && (
+              <>
+                <IconButton
+                  icon="pencil"
+                  size={20}
+                  onPress={() => onAdjust(item)}
+                  accessibilityLabel="Adjust and log set"
+                />
+                <IconButton
+                  icon="check"
+                  mode="contained-tonal"
+                  size={20}
+                  onPress={() => onTick(item)}
+                  accessibilityLabel="Log planned set"
+                />
+              </>
+            )}
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const createStyles = (theme) => StyleSheet.create({
+  container: {
+    marginTop: 16,
+    padding: 12,
+    backgroundColor: theme.colors.elevation.level1,
+    borderRadius: 8,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: theme.colors.onSurface,
+  },
+  summary: {
+    fontSize: 12,
+    color: theme.colors.onSurfaceVariant,
+  },
+  progress: {
+    marginTop: 8,
+    marginBottom: 4,
+    borderRadius: 4,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  info: {
+    flex: 1,
+  },
+  exerciseName: {
+    fontSize: 15,
+    fontWeight: '500',
+    color: theme.colors.onSurface,
+  },
+  complete: {
+    color: theme.colors.onSurfaceVariant,
+    textDecorationLine: 'line-through',
+  },
+  target: {
+    fontSize: 12,
+    color: theme.colors.onSurfaceVariant,
+  },
+});
@@ -0,0 +1,106 @@
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Text } from 'react-native-paper';
+import { useThemedStyles } from '../contexts/ThemeContext';
+
+const CHART_HEIGHT = 120;
+const MAX_POINTS = 20;
+
+// Simple bar chart of one value per session, oldest on the left. Sessions
+// without a value (e.g. bodyweight sets for a weight chart) are skipped.
+export default function TrendChart({ title, points, unit = '' }) {
+  const styles = useThemedStyles(createStyles);
+  const visible = points.filter(point => point.value !== null).slice(-MAX_POINTS);
+  const max = Math.max(...visible.map(point => point.value), 0);
+  const latest = visible[visible.length - 1];
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>{title}</Text>
+        {latest && (
+          <Text style={styles.latest}>{latest.value}{unit}</Text>
+        )}
+      </View>
+
+      {visible.length === 0 ? (
+        <Text style={styles.emptyText}>Not enough data yet</Text>
+      ) : (
+        <>
+          <View style={styles.chart}>
+            {visible.map((point, index) => (
+              <View key={`${point.label}-${index}`} style={styles.barSlot}>
+                <View
+                  style={[
+                    styles.bar,
+                    { height: max > 0 ? Math.max(2, (point.value / max) * CHART_HEIGHT) : 2 },
+                    point === latest && styles.latestBar,
+                  ]}
+                />
+              </View>
+            ))}
+          </View>
+          <View style={styles.axis}>
+            <Text style={styles.axisLabel}>{visible[0].label}</Text>
+            {visible.length > 1 && (
+              <Text style={styles.axisLabel}>{latest.label}</Text>
+            )}
+          </View>
+        </>
+      )}
+    </View>
+  );
+}
+
+const createStyles = (theme) => StyleSheet.create({
+  container: {
+    marginBottom: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'baseline',
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: theme.colors.onSurface,
+  },
+  latest: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: theme.colors.primary,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: theme.colors.onSurfaceVariant,
+  },
+  chart: {
+    height: CHART_HEIGHT,
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    gap: 3,
+  },
+  barSlot: {
+    flex: 1,
+    justifyContent: 'flex-end',
+  },
+  bar: {
+    backgroundColor: theme.colors.inversePrimary,
+    borderTopLeftRadius: 3,
+    borderTopRightRadius: 3,
+  },
+  latestBar: {
+    backgroundColor: theme.colors.primary,
+  },
+  axis: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 4,
+  },
+  axisLabel: {
+    fontSize: 12,
+    color: theme.colors.onSurfaceVariant,
+  },
+});
@@ -1,5 +1,14 @@
 import React, { createContext, useContext, useEffect, useState } from 'react';
-import { supabase, database } from '../lib/supabase';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { supabase } from '../lib/supabase';
+import { database, getBackendName, getDefaultBackendName, setBackend } from '../lib/database';
+import { LOCAL_USER } from '../lib/backends/localBackend';
+import { migrateGuestData } from '../lib/guestMigration';
+import { clearDataCache } from '../lib/cache';
+import { mutationQueue } from '../lib/mutationQueue';
+import { cancelAllNotifications } from '../lib/notifications';
+import { cancelReminders } from '../lib/reminders';
+import { getDeviceTimezone } from '../lib/dates';
 
 const AuthContext = createContext({});
 
@@ -11,14 +20,32 @@ export const useAuth = () => {
   return context;
 };
 
+const GUEST_MODE_KEY = 'guestMode';
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [profile, setProfile] = useState(null);
+  const [isGuest, setIsGuest] = useState(false);
+  const [migrating, setMigrating] = useState(false);
+  const [migrationFailed, setMigrationFailed] = useState(false);
 
   useEffect(() => {
     let mounted = true;
 
+    // The local backend has no auth server: the device user is always signed in
+    if (getDefaultBackendName() === 'local') {
+      setUser(LOCAL_USER);
+      loadProfile(LOCAL_USER.id).finally(() => {
+        if (mounted) {
+          setLoading(false);
+        }
+      });
+      return () => {
+        mounted = false;
+      };
+    }
+
     const getInitialSession = async () => {
       try {
         const { data: { session }, error } = await supabase.auth.getSession();
@@ -28,10 +55,17 @@ export const AuthProvider = ({ children }) => {
           return;
         }
 
+        const guestMode = await AsyncStorage.getItem(GUEST_MODE_KEY);
+
         if (mounted) {
-          setUser(session?.user ?? null);
           if (session?.user) {
+            if (guestMode) {
+              await completeGuestMigration();
+            }
+            setUser(session.user);
             await loadProfile(session.user.id);
+          } else if (guestMode) {
+            await enterGuestMode();
           }
         }
       } catch (error) {
@@ -45,22 +79,30 @@ export const AuthProvider = ({ children }) => {
 
     getInitialSession();
 
-    // Listen for auth changes
-    const { data: { subscription } } = supabase.auth.onAuthStateChange(
-      async (event, session) => {
-        console.log('Auth state changed:', event, session?.user?.email);
-        
-        if (mounted) {
-          setUser(session?.user ?? null);
-          
-          if (session?.user) {
-            await loadProfile(session.user.id);
-          } else {
-            setProfile(null);
-          }
-          
-          setLoading(false);
+    const handleAuthChange = async (event, session) => {
+      console.log('Auth state changed:', event, session?.user?.email);
+
+      if (!mounted || event === 'INITIAL_SESSION') return;
+
+      if (session?.user) {
+        if (await AsyncStorage.getItem(GUEST_MODE_KEY)) {
+          await completeGuestMigration();
         }
+        setUser(session.user);
+        await loadProfile(session.user.id);
+      } else if (getBackendName() === 'supabase') {
+        setUser(null);
+        setProfile(null);
+      }
+
+      setLoading(false);
+    };
+
+    // Listen for auth changes. Deferred because Supabase holds its auth lock
+    // while the callback runs, and the handler makes further Supabase calls.
+    const { data: { subscription } } = supabase.auth.onAuthStateChange(
+      (event, session) => {
+        setTimeout(() => handleAuthChange(event, session), 0);
       }
     );
 
@@ -70,7 +112,7 @@ export const AuthProvider = ({ children }) => {
     };
   }, []);
 
-  const loadProfile = async (userId) => {
+  const loadProfile = async (userId, defaultName = null) => {
     try {
       console.log('Loading profile for user:', userId);
       const profileData = await database.getProfile();
@@ -80,18 +122,79 @@ export const AuthProvider = ({ children }) => {
         // Create profile if it doesn't exist
         const newProfile = await database.createProfile({
           id: userId,
-          display_name: user?.email?.split('@')[0] || 'User',
+          display_name: defaultName || user?.email?.split('@')[0] || 'User',
+          timezone: getDeviceTimezone(),
         });
         setProfile(newProfile);
       } else {
         console.log('Profile loaded:', profileData);
         setProfile(profileData);
+
+        // Keep the stored timezone in step with the device (travel, DST zones)
+        const timezone = getDeviceTimezone();
+        if (timezone && profileData.timezone !== timezone) {
+          setProfile(await database.updateProfile(userId, { timezone }));
+        }
       }
     } catch (error) {
       console.error('Error loading profile:', error);
     }
   };
 
+  const enterGuestMode = async () => {
+    setBackend('local');
+    setIsGuest(true);
+    setUser(LOCAL_USER);
+    await loadProfile(LOCAL_USER.id, 'Guest');
+  };
+
+  // Uploads guest data into the account that just signed in. On failure the
+  // guest flag stays set and `migrationFailed` tells the user; the upload
+  // resumes on `retryGuestMigration` or the next app start.
+  const completeGuestMigration = async () => {
+    setMigrating(true);
+    try {
+      setBackend('supabase');
+      setIsGuest(false);
+      await migrateGuestData();
+      await AsyncStorage.removeItem(GUEST_MODE_KEY);
+      await clearDataCache();
+      setMigrationFailed(false);
+    } catch (error) {
+      console.error('Guest migration error:', error);
+      setMigrationFailed(true);
+    } finally {
+      setMigrating(false);
+    }
+  };
+
+  const retryGuestMigration = async () => {
+    if (await AsyncStorage.getItem(GUEST_MODE_KEY)) {
+      await completeGuestMigration();
+    }
+  };
+
+  const continueAsGuest = async () => {
+    try {
+      await AsyncStorage.setItem(GUEST_MODE_KEY, 'active');
+      await clearDataCache();
+      await enterGuestMode();
+    } catch (error) {
+      console.error('Continue as guest error:', error);
+      throw error;
+    }
+  };
+
+  // Leaves guest mode for the sign in / sign up screen. Guest data stays on
+  // the device and is uploaded once an account session starts.
+  const upgradeGuestAccount = async () => {
+    await AsyncStorage.setItem(GUEST_MODE_KEY, 'upgrading');
+    setBackend('supabase');
+    setIsGuest(false);
+    setUser(null);
+    setProfile(null);
+  };
+
   const signUp = async (email, password) => {
     setLoading(true);
     try {
@@ -178,6 +281,11 @@ export const AuthProvider = ({ children }) => {
       const { error } = await supabase.auth.signOut();
       if (error) throw error;
       
+      // Reminders, queued changes and cached data belong to the account
+      // that made them; the next one to sign in must not see or replay them
+      await cancelReminders();
+      await mutationQueue.clear();
+      await clearDataCache();
       console.log('Sign out successful');
       setUser(null);
       setProfile(null);
@@ -214,11 +322,26 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Purges the account on the backend (for Supabase, including the auth
+  // user), then wipes everything the app stored on this device
   const deleteAccount = async () => {
     try {
-      // For now, just sign out since actual account deletion
-      // would need to be implemented as a Supabase Edge Function
-      await signOut();
+      await database.deleteAccount();
+
+      // Queued changes would otherwise recreate rows after the purge
+      await mutationQueue.clear();
+      await cancelAllNotifications();
+
+      if (getBackendName() === 'supabase') {
+        // The auth user no longer exists, so only the local session is dropped
+        await supabase.auth.signOut({ scope: 'local' });
+      }
+      await AsyncStorage.clear();
+
+      setBackend(getDefaultBackendName());
+      setIsGuest(false);
+      setUser(null);
+      setProfile(null);
     } catch (error) {
       console.error('Delete account error:', error);
       throw error;
@@ -229,6 +352,12 @@ export const AuthProvider = ({ children }) => {
     user,
     profile,
     loading,
+    isGuest,
+    migrating,
+    migrationFailed,
+    retryGuestMigration,
+    continueAsGuest,
+    upgradeGuestAccount,
     signUp,
     signIn,
     signInWithGoogle,
@@ -1,9 +1,39 @@
-import React, { createContext, useContext, useEffect, useState } from 'react';
+import React, { createContext, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { AppState } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { database } from '../lib/supabase';
+import NetInfo from '@react-native-community/netinfo';
+import { useAuth } from './AuthContext';
+import { database } from '../lib/database';
+import { mutationQueue } from '../lib/mutationQueue';
+import { generateId } from '../lib/ids';
+import { getToday, getWorkoutDuration, isSessionOngoing } from '../lib/dates';
+import {
+  computePersonalRecords,
+  getLatestSets as getLatestSetsIn,
+  summarizeExerciseSessions
+} from '../lib/records';
+import { toCsv } from '../lib/csv';
+import { shareFile } from '../lib/share';
+import { runImport } from '../lib/importer';
+import { createBackup, restoreBackup } from '../lib/backup';
+import { clearDataCache } from '../lib/cache';
+import { formatWeight as formatWeightIn, resolveWeightUnit, toDisplayWeight } from '../lib/units';
+import { resolveReminders, scheduleReminders } from '../lib/reminders';
+import { DEFAULT_SET_TYPE, SET_TYPES, countedSets, getSetType } from '../lib/setTypes';
+import { formatEffort as formatEffortIn, resolveEffortScale } from '../lib/effort';
+import { formatSetValues, getTrackingType as getTrackingTypeOf } from '../lib/tracking';
+import { MIN_SUPERSET_SIZE } from '../lib/supersets';
+import { getProgressionSettings as getProgressionSettingsOf, suggestNextTarget } from '../lib/progression';
 
 const DataContext = createContext({});
 
+const patchWorkoutSets = (workouts, workoutId, updateSets) =>
+  workouts.map(workout =>
+    workout.id === workoutId ? { ...workout, sets: updateSets(workout.sets) } : workout
+  );
+
+const byOrderIndex = (a, b) => (a.order_index ?? 0) - (b.order_index ?? 0);
+
 export const useData = () => {
   const context = useContext(DataContext);
   if (!context) {
@@ -14,25 +44,95 @@ export const useData = () => {
 
 export const DataProvider = ({ children }) => {
   const [exercises, setExercises] = useState([]);
+  const [routines, setRoutines] = useState([]);
   const [todayWorkout, setTodayWorkout] = useState(null);
   const [todaySets, setTodaySets] = useState([]);
+  const [workoutHistory, setWorkoutHistory] = useState([]);
+  const [allSets, setAllSets] = useState([]);
+  const [accountStats, setAccountStats] = useState(null);
   const [loading, setLoading] = useState(true);
   const [syncing, setSyncing] = useState(false);
+  const [queueStatus, setQueueStatus] = useState({ pending: 0, failed: 0, flushing: false });
+  const lastActivityRef = useRef(null);
+  const historyRangeRef = useRef(null);
+  const statsStaleRef = useRef(true);
+
+  const { profile } = useAuth();
+  const weightUnit = resolveWeightUnit(null, profile?.weight_unit);
+
+  // The unit weights of this exercise are entered and shown in
+  const getWeightUnit = (exerciseId) =>
+    resolveWeightUnit(exercises.find(ex => ex.id === exerciseId), weightUnit);
+
+  // Formats stored kilograms for display, e.g. "135lb". Without an exercise
+  // (totals, volume) the profile unit is used.
+  const formatWeight = (kg, exerciseId = null) =>
+    formatWeightIn(kg, exerciseId ? getWeightUnit(exerciseId) : weightUnit);
+
+  // Sets store RPE; it is entered and shown in the profile's scale
+  const effortScale = resolveEffortScale(profile?.effort_scale);
+  const formatEffort = (rpe) => formatEffortIn(rpe, effortScale);
+
+  // Which fields sets of this exercise record (see lib/tracking)
+  const getTrackingType = (exerciseId) =>
+    getTrackingTypeOf(exercises.find(ex => ex.id === exerciseId));
+
+  // "8 reps @ 60kg", "1:30", "5 km in 25:00", in the set's exercise units
+  const formatSet = (set, { compact = false } = {}) =>
+    formatSetValues(set, {
+      trackingType: getTrackingType(set.exercise_id),
+      weightUnit: getWeightUnit(set.exercise_id),
+      formatWeight: kg => formatWeight(kg, set.exercise_id),
+      compact,
+    });
 
   useEffect(() => {
     loadData();
+
+    mutationQueue.getStatus().then(setQueueStatus);
+    const unsubscribeQueue = mutationQueue.subscribe(setQueueStatus);
+
+    // Replay queued mutations as soon as connectivity comes back
+    const unsubscribeNetInfo = NetInfo.addEventListener(state => {
+      if (state.isConnected && state.isInternetReachable !== false) {
+        mutationQueue.flush();
+      }
+    });
+
+    return () => {
+      unsubscribeQueue();
+      unsubscribeNetInfo();
+    };
   }, []);
 
   const loadData = async () => {
     try {
       setLoading(true);
-      
+
       // Load from cache first
       const cachedExercises = await AsyncStorage.getItem('exercises');
       if (cachedExercises) {
         setExercises(JSON.parse(cachedExercises));
       }
 
+      const cachedRoutines = await AsyncStorage.getItem('routines');
+      if (cachedRoutines) {
+        setRoutines(JSON.parse(cachedRoutines));
+      }
+
+      const cachedToday = await AsyncStorage.getItem('todayWorkout');
+      if (cachedToday) {
+        const { workout, sets, lastActivityAt } = JSON.parse(cachedToday);
+        lastActivityRef.current = lastActivityAt ?? null;
+        setTodayWorkout(workout);
+        setTodaySets(sets);
+      }
+
+      const cachedStats = await AsyncStorage.getItem('accountStats');
+      if (cachedStats) {
+        setAccountStats(JSON.parse(cachedStats));
+      }
+
       // Load from server
       await syncData();
     } catch (error) {
@@ -42,17 +142,47 @@ export const DataProvider = ({ children }) => {
     }
   };
 
+  const cacheToday = async (workout, sets) => {
+    try {
+      await AsyncStorage.setItem('todayWorkout', JSON.stringify({
+        workout,
+        sets,
+        lastActivityAt: lastActivityRef.current,
+      }));
+    } catch (error) {
+      console.error('Error caching today workout:', error);
+    }
+  };
+
+  // The server only becomes the source of truth again once every queued
+  // mutation has been replayed; until then local state is kept as is.
+  const flushQueue = async () => {
+    await mutationQueue.flush();
+    return !(await mutationQueue.hasPending());
+  };
+
   const syncData = async () => {
     try {
       setSyncing(true);
-      
+
+      const drained = await flushQueue();
+      if (!drained) return;
+
       // Sync exercises
       const exercisesData = await database.getExercises();
       setExercises(exercisesData);
       await AsyncStorage.setItem('exercises', JSON.stringify(exercisesData));
 
+      // Sync routines
+      const routinesData = await database.getRoutines();
+      setRoutines(routinesData);
+      await AsyncStorage.setItem('routines', JSON.stringify(routinesData));
+
       // Sync today's workout
       await loadTodayWorkout();
+
+      // Full set history, used for personal records
+      setAllSets(await database.getSetHistory());
     } catch (error) {
       console.error('Error syncing data:', error);
     } finally {
@@ -62,29 +192,56 @@ export const DataProvider = ({ children }) => {
 
   const loadTodayWorkout = async () => {
     try {
-      const workout = await database.getTodaysWorkout();
-      setTodayWorkout(workout);
+      const drained = await flushQueue();
+      if (!drained) return;
 
-      if (workout) {
-        const sets = await database.getSetsForWorkout(workout.id);
-        setTodaySets(sets);
-      } else {
-        setTodaySets([]);
+      const today = getToday();
+      const cachedToday = JSON.parse(await AsyncStorage.getItem('todayWorkout') || 'null');
+      let workout = await database.getTodaysWorkout(today);
+
+      // A session that started before midnight stays "today" while it is ongoing
+      if (
+        !workout &&
+        cachedToday?.workout &&
+        !cachedToday.workout.ended_at &&
+        cachedToday.workout.date < today &&
+        isSessionOngoing(cachedToday.lastActivityAt)
+      ) {
+        workout = cachedToday.workout;
       }
+
+      const sets = workout ? await database.getSetsForWorkout(workout.id) : [];
+      if (workout?.id !== cachedToday?.workout?.id) {
+        lastActivityRef.current = sets[sets.length - 1]?.created_at ?? null;
+      }
+
+      setTodayWorkout(workout);
+      setTodaySets(sets);
+      await cacheToday(workout, sets);
     } catch (error) {
+      // Offline: keep whatever was restored from the cache
       console.error('Error loading today workout:', error);
-      setTodaySets([]);
     }
   };
 
+  const saveExercises = async (updatedExercises) => {
+    setExercises(updatedExercises);
+    await AsyncStorage.setItem('exercises', JSON.stringify(updatedExercises));
+  };
+
   const createExercise = async (exerciseData) => {
     try {
-      const newExercise = await database.createExercise(exerciseData);
-      const updatedExercises = [...exercises, newExercise].sort((a, b) => 
+      const newExercise = {
+        id: generateId(),
+        is_archived: false,
+        ...exerciseData,
+      };
+
+      const updatedExercises = [...exercises, newExercise].sort((a, b) =>
         a.name.localeCompare(b.name)
       );
-      setExercises(updatedExercises);
-      await AsyncStorage.setItem('exercises', JSON.stringify(updatedExercises));
+      await saveExercises(updatedExercises);
+      await mutationQueue.enqueue('createExercise', [newExercise]);
       return newExercise;
     } catch (error) {
       console.error('Error creating exercise:', error);
@@ -92,39 +249,234 @@ export const DataProvider = ({ children }) => {
     }
   };
 
+  const updateExercise = async (exerciseId, updates) => {
+    try {
+      await saveExercises(exercises.map(exercise =>
+        exercise.id === exerciseId ? { ...exercise, ...updates } : exercise
+      ));
+      await mutationQueue.enqueue('updateExercise', [exerciseId, updates]);
+    } catch (error) {
+      console.error('Error updating exercise:', error);
+      throw error;
+    }
+  };
+
   const deleteExercise = async (exerciseId) => {
     try {
-      await database.deleteExercise(exerciseId);
       const updatedExercises = exercises.filter(ex => ex.id !== exerciseId);
-      setExercises(updatedExercises);
-      await AsyncStorage.setItem('exercises', JSON.stringify(updatedExercises));
+      await saveExercises(updatedExercises);
+      await mutationQueue.enqueue('deleteExercise', [exerciseId]);
     } catch (error) {
       console.error('Error deleting exercise:', error);
       throw error;
     }
   };
 
-  const addSet = async (exerciseId, reps, weight = null) => {
+  const saveRoutines = async (updatedRoutines) => {
+    const sorted = [...updatedRoutines].sort((a, b) => a.name.localeCompare(b.name));
+    setRoutines(sorted);
+    await AsyncStorage.setItem('routines', JSON.stringify(sorted));
+  };
+
+  // Routine items: [{ exercise_id, sets, reps, weight }], reps null for AMRAP
+  const createRoutine = async (routineData) => {
+    try {
+      const newRoutine = { id: generateId(), ...routineData };
+      await saveRoutines([...routines, newRoutine]);
+      await mutationQueue.enqueue('createRoutine', [newRoutine]);
+      return newRoutine;
+    } catch (error) {
+      console.error('Error creating routine:', error);
+      throw error;
+    }
+  };
+
+  const updateRoutine = async (routineId, updates) => {
     try {
-      // Ensure we have today's workout
+      await saveRoutines(routines.map(routine =>
+        routine.id === routineId ? { ...routine, ...updates } : routine
+      ));
+      await mutationQueue.enqueue('updateRoutine', [routineId, updates]);
+    } catch (error) {
+      console.error('Error updating routine:', error);
+      throw error;
+    }
+  };
+
+  const deleteRoutine = async (routineId) => {
+    try {
+      await saveRoutines(routines.filter(routine => routine.id !== routineId));
+      await mutationQueue.enqueue('deleteRoutine', [routineId]);
+    } catch (error) {
+      console.error('Error deleting routine:', error);
+      throw error;
+    }
+  };
+
+  // A workout keeps receiving sets until it is finished; one carried over
+  // from before midnight only while the session is still going
+  const isWorkoutActive = (workout) =>
+    !!workout &&
+    !workout.ended_at &&
+    (workout.date === getToday() || isSessionOngoing(lastActivityRef.current));
+
+  const createSession = async () => {
+    const workout = {
+      id: generateId(),
+      date: getToday(),
+      note: null,
+      started_at: new Date().toISOString(),
+      ended_at: null,
+    };
+    lastActivityRef.current = workout.started_at;
+    setTodayWorkout(workout);
+    await mutationQueue.enqueue('createWorkout', [
+      workout.date,
+      workout.note,
+      workout.id,
+      workout.started_at,
+    ]);
+    return workout;
+  };
+
+  const startWorkout = async () => {
+    try {
+      if (isWorkoutActive(todayWorkout)) return todayWorkout;
+
+      const workout = await createSession();
+      setTodaySets([]);
+      setWorkoutHistory(prev => [{ ...workout, sets: [] }, ...prev]);
+      await cacheToday(workout, []);
+      return workout;
+    } catch (error) {
+      console.error('Error starting workout:', error);
+      throw error;
+    }
+  };
+
+  // Attaches a routine's planned sets to the active workout (starting one
+  // if needed); Today then shows planned vs done for each exercise
+  const startRoutine = async (routine) => {
+    try {
+      const workout = await startWorkout();
+      const sets = workout === todayWorkout ? todaySets : [];
+      const changes = {
+        routine_id: routine.id,
+        plan: routine.items.map(item => ({ ...item })),
+      };
+
+      const planned = { ...workout, ...changes };
+      setTodayWorkout(planned);
+      setWorkoutHistory(prev => prev.map(w => w.id === planned.id ? { ...w, ...changes } : w));
+      await cacheToday(planned, sets);
+      await mutationQueue.enqueue('updateWorkout', [planned.id, changes]);
+      return planned;
+    } catch (error) {
+      console.error('Error starting routine:', error);
+      throw error;
+    }
+  };
+
+  const updateSupersets = async (supersets) => {
+    const workout = await startWorkout();
+    const sets = workout === todayWorkout ? todaySets : [];
+    const changes = { supersets };
+
+    const updated = { ...workout, ...changes };
+    setTodayWorkout(updated);
+    setWorkoutHistory(prev => prev.map(w => w.id === updated.id ? { ...w, ...changes } : w));
+    await cacheToday(updated, sets);
+    await mutationQueue.enqueue('updateWorkout', [updated.id, changes]);
+    return updated;
+  };
+
+  // Links exercises into a superset or circuit on the active workout
+  // (starting one if needed). Exercises leave any group they were in, and
+  // groups left with a single exercise are dropped.
+  const saveSuperset = async (exerciseIds, supersetId = null) => {
+    try {
+      const id = supersetId ?? generateId();
+      const others = (isWorkoutActive(todayWorkout) ? todayWorkout.supersets || [] : [])
+        .filter(superset => superset.id !== id)
+        .map(superset => ({
+          ...superset,
+          exercise_ids: superset.exercise_ids.filter(exerciseId => !exerciseIds.includes(exerciseId)),
+        }))
+        .filter(superset => superset.exercise_ids.length >= MIN_SUPERSET_SIZE);
+
+      await updateSupersets([...others, { id, exercise_ids: exerciseIds }]);
+      return id;
+    } catch (error) {
+      console.error('Error saving superset:', error);
+      throw error;
+    }
+  };
+
+  // Unlinks a group; its sets stay in the workout as regular sets
+  const removeSuperset = async (supersetId) => {
+    try {
+      await updateSupersets(
+        (todayWorkout?.supersets || []).filter(superset => superset.id !== supersetId)
+      );
+    } catch (error) {
+      console.error('Error removing superset:', error);
+      throw error;
+    }
+  };
+
+  const finishWorkout = async () => {
+    try {
+      if (!todayWorkout || todayWorkout.ended_at) return;
+
+      const changes = { ended_at: new Date().toISOString() };
+      const finished = { ...todayWorkout, ...changes };
+      setTodayWorkout(finished);
+      setWorkoutHistory(prev => prev.map(workout =>
+        workout.id === finished.id ? { ...workout, ...changes } : workout
+      ));
+      await cacheToday(finished, todaySets);
+      await mutationQueue.enqueue('updateWorkout', [finished.id, changes]);
+    } catch (error) {
+      console.error('Error finishing workout:', error);
+      throw error;
+    }
+  };
+
+  const addSet = async (
+    exerciseId,
+    reps,
+    weight = null,
+    {
+      setType = DEFAULT_SET_TYPE,
+      rpe = null,
+      durationSeconds = null,
+      distanceMeters = null,
+    } = {}
+  ) => {
+    try {
+      // Logging a set without an active session starts one
       let workout = todayWorkout;
-      if (!workout) {
-        const today = new Date().toISOString().split('T')[0];
-        workout = await database.createWorkout(today);
-        setTodayWorkout(workout);
+      if (!isWorkoutActive(workout)) {
+        workout = await createSession();
       }
+      const previousSets = workout === todayWorkout ? todaySets : [];
 
       // Create the set
-      const setData = {
+      const newSet = {
+        id: generateId(),
         workout_id: workout.id,
         exercise_id: exerciseId,
-        reps: parseInt(reps),
+        reps: reps !== null && reps !== undefined ? parseInt(reps) : null,
         weight: weight ? parseFloat(weight) : null,
-        order_index: todaySets.length,
+        duration_seconds: durationSeconds,
+        distance_m: distanceMeters,
+        set_type: setType,
+        rpe,
+        order_index: previousSets.reduce(
+          (max, set) => Math.max(max, set.order_index ?? -1), -1
+        ) + 1,
       };
 
-      const newSet = await database.createSet(setData);
-      
       // Add exercise name for display
       const exercise = exercises.find(ex => ex.id === exerciseId);
       const setWithExercise = {
@@ -132,24 +484,165 @@ export const DataProvider = ({ children }) => {
         exercise: { name: exercise?.name || 'Unknown' }
       };
 
-      setTodaySets([...todaySets, setWithExercise]);
-      return newSet;
+      const historyRow = {
+        ...setWithExercise,
+        date: workout.date,
+        started_at: workout.started_at ?? null,
+      };
+      const prs = computePersonalRecords([...allSets, historyRow]).bySet[newSet.id] || [];
+      setAllSets(prev => [...prev, historyRow]);
+
+      const updatedSets = [...previousSets, setWithExercise];
+      lastActivityRef.current = new Date().toISOString();
+      setTodaySets(updatedSets);
+      setWorkoutHistory(prev => prev.some(w => w.id === workout.id)
+        ? patchWorkoutSets(prev, workout.id, sets => [...sets, setWithExercise])
+        : [{ ...workout, sets: [setWithExercise] }, ...prev]
+      );
+      await cacheToday(workout, updatedSets);
+      await mutationQueue.enqueue('createSet', [newSet]);
+      return { ...newSet, prs };
     } catch (error) {
       console.error('Error adding set:', error);
       throw error;
     }
   };
 
+  // Numbers a workout's sets 0, 1, 2... in the order given. Only the sets
+  // whose position changed are written, as one batched update.
+  const renumberSets = async (workoutId, orderedSets) => {
+    const positions = new Map(orderedSets.map((set, index) => [set.id, index]));
+    // The backend saves these in one upsert, which needs each row's keys
+    const updates = orderedSets
+      .filter((set, index) => set.order_index !== index)
+      .map(set => ({
+        id: set.id,
+        changes: {
+          workout_id: set.workout_id,
+          exercise_id: set.exercise_id,
+          order_index: positions.get(set.id),
+        },
+      }));
+    if (updates.length === 0) return;
+
+    const renumber = (set) =>
+      positions.has(set.id) ? { ...set, order_index: positions.get(set.id) } : set;
+
+    if (workoutId === todayWorkout?.id) {
+      const updatedSets = orderedSets.map(renumber);
+      setTodaySets(updatedSets);
+      await cacheToday(todayWorkout, updatedSets);
+    }
+    setWorkoutHistory(prev =>
+      patchWorkoutSets(prev, workoutId, sets => sets.map(renumber).sort(byOrderIndex))
+    );
+    setAllSets(prev => prev.map(renumber));
+    await mutationQueue.enqueue('updateSets', [updates]);
+  };
+
+  // Workouts outside the loaded history range are read from the full set
+  // history, which every set is part of
+  const getWorkoutSets = (workoutId) => {
+    if (workoutId === todayWorkout?.id) return todaySets;
+    const loaded = workoutHistory.find(workout => workout.id === workoutId);
+    return loaded
+      ? loaded.sets
+      : allSets.filter(set => set.workout_id === workoutId).sort(byOrderIndex);
+  };
+
+  // Moves sets within a workout, e.g. one logged out of order
+  const reorderSets = async (workoutId, orderedSetIds) => {
+    try {
+      const setsById = new Map(getWorkoutSets(workoutId).map(set => [set.id, set]));
+      await renumberSets(
+        workoutId,
+        orderedSetIds.map(id => setsById.get(id)).filter(Boolean)
+      );
+    } catch (error) {
+      console.error('Error reordering sets:', error);
+      throw error;
+    }
+  };
+
   const deleteSet = async (setId) => {
     try {
-      await database.deleteSet(setId);
-      setTodaySets(todaySets.filter(set => set.id !== setId));
+      const deleted = todaySets.find(set => set.id === setId)
+        || allSets.find(set => set.id === setId);
+      const updatedSets = todaySets.filter(set => set.id !== setId);
+      setTodaySets(updatedSets);
+      setWorkoutHistory(prev => prev.map(workout => ({
+        ...workout,
+        sets: workout.sets.filter(set => set.id !== setId),
+      })));
+      setAllSets(prev => prev.filter(set => set.id !== setId));
+      await cacheToday(todayWorkout, updatedSets);
+      await mutationQueue.enqueue('deleteSet', [setId]);
+
+      // Close the gap so positions stay 0, 1, 2...
+      if (deleted) {
+        const remaining = getWorkoutSets(deleted.workout_id).filter(set => set.id !== setId);
+        await renumberSets(deleted.workout_id, [...remaining].sort(byOrderIndex));
+      }
     } catch (error) {
       console.error('Error deleting set:', error);
       throw error;
     }
   };
 
+  // Edits a set from today or any past workout in place, without reloading
+  const updateSet = async (setId, updates) => {
+    try {
+      const changes = {};
+      if (updates.exercise_id !== undefined) changes.exercise_id = updates.exercise_id;
+      if (updates.reps !== undefined) {
+        changes.reps = updates.reps !== null ? parseInt(updates.reps) : null;
+      }
+      if (updates.weight !== undefined) {
+        changes.weight = updates.weight ? parseFloat(updates.weight) : null;
+      }
+      if (updates.set_type !== undefined) changes.set_type = updates.set_type;
+      if (updates.rpe !== undefined) changes.rpe = updates.rpe;
+      if (updates.duration_seconds !== undefined) {
+        changes.duration_seconds = updates.duration_seconds;
+      }
+      if (updates.distance_m !== undefined) changes.distance_m = updates.distance_m;
+
+      const applyChanges = (set) => {
+        if (set.id !== setId) return set;
+        const updated = { ...set, ...changes };
+        if (changes.exercise_id) {
+          const exercise = exercises.find(ex => ex.id === changes.exercise_id);
+          updated.exercise = { name: exercise?.name || 'Unknown' };
+        }
+        return updated;
+      };
+
+      const updatedSets = todaySets.map(applyChanges);
+      setTodaySets(updatedSets);
+      setWorkoutHistory(prev => prev.map(workout => ({
+        ...workout,
+        sets: workout.sets.map(applyChanges),
+      })));
+      setAllSets(prev => prev.map(applyChanges));
+      if (todaySets.some(set => set.id === setId)) {
+        await cacheToday(todayWorkout, updatedSets);
+      }
+      await mutationQueue.enqueue('updateSet', [setId, changes]);
+    } catch (error) {
+      console.error('Error updating set:', error);
+      throw error;
+    }
+  };
+
+  const retryFailedSync = async () => {
+    await mutationQueue.retryFailed();
+  };
+
+  const discardFailedSync = async () => {
+    await mutationQueue.discardFailed();
+    await syncData();
+  };
+
   const getWorkoutHistory = async (startDate, endDate) => {
     try {
       const workouts = await database.getWorkoutsByDateRange(startDate, endDate);
@@ -166,22 +659,124 @@ export const DataProvider = ({ children }) => {
     }
   };
 
+  const loadWorkoutHistory = async (startDate, endDate) => {
+    historyRangeRef.current = [startDate, endDate];
+    const workouts = await getWorkoutHistory(startDate, endDate);
+    setWorkoutHistory(workouts);
+    return workouts;
+  };
+
+  // `plan` comes from `planImport`; the import writes directly to the
+  // backend, so pending offline changes must be synced first.
+  const importWorkouts = async (plan) => {
+    try {
+      if (!(await flushQueue())) {
+        throw new Error('Sync pending changes before importing');
+      }
+
+      const result = await runImport(plan);
+      await syncData();
+      if (historyRangeRef.current) {
+        await loadWorkoutHistory(...historyRangeRef.current);
+      }
+      return result;
+    } catch (error) {
+      console.error('Error importing workouts:', error);
+      throw error;
+    }
+  };
+
+  // Backups and restores talk to the backend directly, so pending offline
+  // changes are synced first
+  const backupData = async (profile) => {
+    try {
+      if (!(await flushQueue())) {
+        throw new Error('Sync pending changes before backing up');
+      }
+
+      const backup = await createBackup(profile);
+      return await shareFile({
+        filename: `gym-tracker-backup-${getToday()}.json`,
+        contents: JSON.stringify(backup, null, 2),
+        mimeType: 'application/json',
+        uti: 'public.json',
+      });
+    } catch (error) {
+      console.error('Error backing up data:', error);
+      throw error;
+    }
+  };
+
+  const restoreData = async (backup, mode) => {
+    try {
+      if (!(await flushQueue())) {
+        throw new Error('Sync pending changes before restoring');
+      }
+
+      const result = await restoreBackup(backup, mode);
+      if (mode === 'replace') {
+        await clearDataCache();
+      }
+      await syncData();
+      if (historyRangeRef.current) {
+        await loadWorkoutHistory(...historyRangeRef.current);
+      }
+      return result;
+    } catch (error) {
+      console.error('Error restoring data:', error);
+      throw error;
+    }
+  };
+
+  // Reads from the backend, so pending offline changes are synced first
   const exportData = async () => {
     try {
+      if (!(await flushQueue())) {
+        throw new Error('Sync pending changes before exporting');
+      }
+
       const data = await database.exportData();
-      
-      // Convert to CSV format
-      const csvRows = ['Date,Exercise,Set,Reps,Weight'];
-      
+
+      const rows = [[
+        'Date', 'Start', 'End', 'Duration (min)', 'Workout Note',
+        'Exercise', 'Set', 'Set Type', 'Reps', 'Weight', 'Unit', 'RPE',
+        'Duration (s)', 'Distance (m)', 'Logged At',
+      ]];
+
       data.forEach(workout => {
+        const duration = getWorkoutDuration(workout);
+        const session = [
+          workout.started_at,
+          workout.ended_at,
+          workout.ended_at && duration !== null ? Math.round(duration / 60000) : null,
+          workout.note,
+        ];
+
         workout.sets.forEach((set, index) => {
-          csvRows.push(
-            `${workout.date},${set.exercise.name},${index + 1},${set.reps},${set.weight || ''}`
-          );
+          const unit = getWeightUnit(set.exercise_id);
+          rows.push([
+            workout.date,
+            ...session,
+            set.exercise?.name,
+            index + 1,
+            SET_TYPES[getSetType(set)].label,
+            set.reps,
+            toDisplayWeight(set.weight, unit),
+            set.weight != null ? unit : null,
+            set.rpe,
+            set.duration_seconds,
+            set.distance_m,
+            set.created_at,
+          ]);
         });
       });
 
-      return csvRows.join('\n');
+      return await shareFile({
+        filename: `gym-tracker-export-${getToday()}.csv`,
+        contents: toCsv(rows),
+        mimeType: 'text/csv',
+        uti: 'public.comma-separated-values-text',
+      });
     } catch (error) {
       console.error('Error exporting data:', error);
       throw error;
@@ -191,8 +786,8 @@ export const DataProvider = ({ children }) => {
   const getTodayStats = () => {
     const totalSets = todaySets.length;
     const exerciseCount = new Set(todaySets.map(set => set.exercise_id)).size;
-    const totalReps = todaySets.reduce((sum, set) => sum + set.reps, 0);
-    
+    const totalReps = countedSets(todaySets).reduce((sum, set) => sum + (set.reps || 0), 0);
+
     return {
       totalSets,
       exerciseCount,
@@ -200,19 +795,125 @@ export const DataProvider = ({ children }) => {
     };
   };
 
+  const personalRecords = useMemo(() => computePersonalRecords(allSets), [allSets]);
+
+  // What was done last time for an exercise (see lib/records), with the
+  // session in progress left out of `session`
+  const getLatestSets = (exerciseId, { setType = null } = {}) =>
+    getLatestSetsIn(allSets, exerciseId, {
+      excludeWorkoutId: isWorkoutActive(todayWorkout) ? todayWorkout.id : null,
+      setType,
+    });
+
+  // Rep range and load increment (kg) the exercise progresses by
+  const getProgressionSettings = (exerciseId) =>
+    getProgressionSettingsOf(exercises.find(ex => ex.id === exerciseId), getWeightUnit(exerciseId));
+
+  // Target for the exercise's next session (see lib/progression), judged on
+  // the sessions before the one in progress
+  const getSuggestion = (exerciseId) => {
+    const activeWorkoutId = isWorkoutActive(todayWorkout) ? todayWorkout.id : null;
+    const sessions = summarizeExerciseSessions(allSets, exerciseId)
+      .filter(session => session.workout_id !== activeWorkoutId);
+    return suggestNextTarget(sessions, {
+      trackingType: getTrackingType(exerciseId),
+      ...getProgressionSettings(exerciseId),
+    });
+  };
+
+  // Any change to the set history makes the account stats stale
+  useEffect(() => {
+    statsStaleRef.current = true;
+  }, [allSets]);
+
+  // Loaded lazily by the Settings profile card and only refetched after the
+  // set history changed since the last load
+  const loadAccountStats = async () => {
+    if (!statsStaleRef.current) return;
+
+    try {
+      statsStaleRef.current = false;
+      const stats = await database.getAccountStats();
+      setAccountStats(stats);
+      await AsyncStorage.setItem('accountStats', JSON.stringify(stats));
+    } catch (error) {
+      statsStaleRef.current = true;
+      console.error('Error loading account stats:', error);
+    }
+  };
+
+  // Today's workout (from getTodaysWorkout) counts even before it has sets
+  const lastWorkoutDate = useMemo(() =>
+    allSets.reduce(
+      (latest, set) => (!latest || set.date > latest ? set.date : latest),
+      todayWorkout?.date ?? null
+    ), [allSets, todayWorkout]);
+
+  // Reminders are rescheduled whenever their settings or the latest workout
+  // change, and when the app returns to the foreground on a new day
+  const remindersKey = JSON.stringify(profile?.reminders ?? null);
+  useEffect(() => {
+    if (loading) return;
+
+    const reschedule = () =>
+      scheduleReminders(resolveReminders(profile), { lastWorkoutDate });
+    reschedule();
+
+    const subscription = AppState.addEventListener('change', state => {
+      if (state === 'active') reschedule();
+    });
+    return () => subscription.remove();
+  }, [loading, remindersKey, lastWorkoutDate]);
+
   const value = {
     exercises,
+    routines,
     todayWorkout,
+    activeWorkout: isWorkoutActive(todayWorkout) ? todayWorkout : null,
     todaySets,
+    workoutHistory,
+    setHistory: allSets,
+    personalRecords,
+    getLatestSets,
+    getProgressionSettings,
+    getSuggestion,
+    accountStats,
+    weightUnit,
+    getWeightUnit,
+    formatWeight,
+    effortScale,
+    formatEffort,
+    getTrackingType,
+    formatSet,
     loading,
-    syncing,
+    syncing: syncing || queueStatus.flushing,
+    pendingChanges: queueStatus.pending,
+    failedChanges: queueStatus.failed,
     createExercise,
+    updateExercise,
     deleteExercise,
+    createRoutine,
+    updateRoutine,
+    deleteRoutine,
+    startWorkout,
+    startRoutine,
+    saveSuperset,
+    removeSuperset,
+    finishWorkout,
     addSet,
     deleteSet,
+    updateSet,
+    reorderSets,
+    retryFailedSync,
+    discardFailedSync,
     getWorkoutHistory,
+    loadWorkoutHistory,
+    importWorkouts,
+    backupData,
+    restoreData,
     exportData,
     getTodayStats,
+    loadAccountStats,
     syncData,
     loadTodayWorkout,
   };
@@ -222,4 +923,4 @@ export const DataProvider = ({ children }) => {
       {children}
     </DataContext.Provider>
   );
-};
\ No newline at end of file
+};
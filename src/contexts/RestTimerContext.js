@@ -0,0 +1,155 @@
+import React, { createContext, useContext, useEffect, useRef, useState } from 'react';
+import { Vibration } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { scheduleNotification, cancelNotification } from '../lib/notifications';
+
+export const DEFAULT_REST_SECONDS = 90;
+export const REST_ADJUST_SECONDS = 15;
+
+// Choices for an exercise's default rest
+export const REST_OPTIONS = [30, 60, 90, 120, 180, 240];
+
+// "30s", "1:30"
+export const formatRestSeconds = (seconds) =>
+  seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+const REST_TIMER_KEY = 'restTimer';
+
+const RestTimerContext = createContext({});
+
+export const useRestTimer = () => {
+  const context = useContext(RestTimerContext);
+  if (!context) {
+    throw new Error('useRestTimer must be used within RestTimerProvider');
+  }
+  return context;
+};
+
+// The timer is stored as an absolute end time, so it keeps counting while
+// the app is backgrounded; a scheduled local notification covers the alert.
+export const RestTimerProvider = ({ children }) => {
+  const [timer, setTimer] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const timerRef = useRef(null);
+
+  useEffect(() => {
+    const restoreTimer = async () => {
+      try {
+        const stored = await AsyncStorage.getItem(REST_TIMER_KEY);
+        if (stored) {
+          const restored = JSON.parse(stored);
+          if (new Date(restored.endsAt).getTime() > Date.now()) {
+            updateTimer(restored);
+          } else {
+            await AsyncStorage.removeItem(REST_TIMER_KEY);
+          }
+        }
+      } catch (error) {
+        console.error('Error restoring rest timer:', error);
+      }
+    };
+
+    restoreTimer();
+  }, []);
+
+  useEffect(() => {
+    if (!timer) return;
+
+    const interval = setInterval(() => {
+      const current = Date.now();
+      setNow(current);
+
+      if (current >= new Date(timer.endsAt).getTime()) {
+        Vibration.vibrate([0, 400, 200, 400]);
+        updateTimer(null);
+      }
+    }, 250);
+
+    return () => clearInterval(interval);
+  }, [timer]);
+
+  const updateTimer = async (nextTimer) => {
+    timerRef.current = nextTimer;
+    setTimer(nextTimer);
+    setNow(Date.now());
+    try {
+      if (nextTimer) {
+        await AsyncStorage.setItem(REST_TIMER_KEY, JSON.stringify(nextTimer));
+      } else {
+        await AsyncStorage.removeItem(REST_TIMER_KEY);
+      }
+    } catch (error) {
+      console.error('Error saving rest timer:', error);
+    }
+  };
+
+  const scheduleRestOver = (label, seconds) =>
+    scheduleNotification({
+      title: 'Rest over',
+      body: label ? `Time for your next set of ${label}` : 'Time for your next set',
+      seconds,
+    });
+
+  const startRest = async (seconds = DEFAULT_REST_SECONDS, label = null) => {
+    await cancelNotification(timerRef.current?.notificationId);
+
+    const startedAt = Date.now();
+    const endsAt = new Date(startedAt + seconds * 1000).toISOString();
+    await updateTimer({ label, duration: seconds, endsAt, notificationId: null });
+
+    const notificationId = await scheduleRestOver(label, seconds);
+    if (timerRef.current?.endsAt === endsAt) {
+      await updateTimer({ ...timerRef.current, notificationId });
+    }
+  };
+
+  const adjustRest = async (deltaSeconds) => {
+    const current = timerRef.current;
+    if (!current) return;
+
+    const remaining = (new Date(current.endsAt).getTime() - Date.now()) / 1000 + deltaSeconds;
+    await cancelNotification(current.notificationId);
+
+    if (remaining <= 0) {
+      await updateTimer(null);
+      return;
+    }
+
+    const endsAt = new Date(Date.now() + remaining * 1000).toISOString();
+    await updateTimer({
+      ...current,
+      duration: Math.max(0, current.duration + deltaSeconds),
+      endsAt,
+      notificationId: null,
+    });
+
+    const notificationId = await scheduleRestOver(current.label, remaining);
+    if (timerRef.current?.endsAt === endsAt) {
+      await updateTimer({ ...timerRef.current, notificationId });
+    }
+  };
+
+  const skipRest = async () => {
+    await cancelNotification(timerRef.current?.notificationId);
+    await updateTimer(null);
+  };
+
+  const remainingSeconds = timer
+    ? Math.max(0, Math.ceil((new Date(timer.endsAt).getTime() - now) / 1000))
+    : 0;
+
+  const value = {
+    restTimer: timer,
+    isResting: !!timer,
+    remainingSeconds,
+    startRest,
+    adjustRest,
+    skipRest,
+  };
+
+  return (
+    <RestTimerContext.Provider value={value}>
+      {children}
+    </RestTimerContext.Provider>
+  );
+};
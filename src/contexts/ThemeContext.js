@@ -0,0 +1,82 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { useColorScheme } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { PaperProvider, useTheme } from 'react-native-paper';
+import { useAuth } from './AuthContext';
+import {
+  DEFAULT_THEME_MODE,
+  lightTheme,
+  darkTheme,
+  navigationLightTheme,
+  navigationDarkTheme,
+} from '../lib/theme';
+
+// Last mode used on this device, so the sign-in screen and app start render
+// in the right theme before the profile has loaded
+const THEME_MODE_KEY = 'themeMode';
+
+const ThemeContext = createContext({});
+
+export const useThemeMode = () => {
+  const context = useContext(ThemeContext);
+  if (!context) {
+    throw new Error('useThemeMode must be used within ThemeProvider');
+  }
+  return context;
+};
+
+// Builds a component's styles from the current theme:
+//   const createStyles = (theme) => StyleSheet.create({ ... });
+//   const styles = useThemedStyles(createStyles);
+export const useThemedStyles = (createStyles) => {
+  const theme = useTheme();
+  return useMemo(() => createStyles(theme), [createStyles, theme]);
+};
+
+// The chosen mode is saved on the profile, so it follows the user across
+// devices. 'system' tracks the OS appearance setting live.
+export const ThemeProvider = ({ children }) => {
+  const { user, profile, updateProfile } = useAuth();
+  const systemScheme = useColorScheme();
+  const [deviceMode, setDeviceMode] = useState(DEFAULT_THEME_MODE);
+
+  useEffect(() => {
+    AsyncStorage.getItem(THEME_MODE_KEY)
+      .then(stored => stored && setDeviceMode(stored))
+      .catch(error => console.error('Error loading theme mode:', error));
+  }, []);
+
+  const themeMode = profile?.theme_mode || deviceMode;
+
+  useEffect(() => {
+    if (!profile?.theme_mode) return;
+    setDeviceMode(profile.theme_mode);
+    AsyncStorage.setItem(THEME_MODE_KEY, profile.theme_mode)
+      .catch(error => console.error('Error saving theme mode:', error));
+  }, [profile?.theme_mode]);
+
+  const setThemeMode = async (mode) => {
+    setDeviceMode(mode);
+    await AsyncStorage.setItem(THEME_MODE_KEY, mode);
+    if (user) {
+      await updateProfile({ theme_mode: mode });
+    }
+  };
+
+  const isDark = themeMode === 'dark' || (themeMode === 'system' && systemScheme === 'dark');
+
+  const value = {
+    themeMode,
+    setThemeMode,
+    isDark,
+    navigationTheme: isDark ? navigationDarkTheme : navigationLightTheme,
+  };
+
+  return (
+    <ThemeContext.Provider value={value}>
+      <PaperProvider theme={isDark ? darkTheme : lightTheme}>
+        {children}
+      </PaperProvider>
+    </ThemeContext.Provider>
+  );
+};
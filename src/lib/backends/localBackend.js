@@ -0,0 +1,466 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { generateId } from '../ids';
+import { getToday } from '../dates';
+import { computeAccountStats } from '../stats';
+
+const STORAGE_PREFIX = 'local:';
+const TABLES = ['profiles', 'exercises', 'routines', 'workouts', 'sets'];
+
+// The single on-device user every local row belongs to
+export const LOCAL_USER = {
+  id: 'local-user',
+  email: null,
+};
+
+const readTable = async (table) => {
+  const stored = await AsyncStorage.getItem(`${STORAGE_PREFIX}${table}`);
+  return stored ? JSON.parse(stored) : [];
+};
+
+const writeTable = async (table, rows) => {
+  await AsyncStorage.setItem(`${STORAGE_PREFIX}${table}`, JSON.stringify(rows));
+};
+
+const withExerciseName = (set, exercises) => {
+  const exercise = exercises.find(ex => ex.id === set.exercise_id);
+  return { ...set, exercise: { name: exercise?.name ?? 'Unknown' } };
+};
+
+const byOrderIndex = (a, b) => a.order_index - b.order_index;
+const byDateDescending = (a, b) =>
+  b.date.localeCompare(a.date) || (b.started_at ?? '').localeCompare(a.started_at ?? '');
+
+// AsyncStorage implementation of the `database` interface (see ../database.js).
+// Each table is stored as one JSON array under `local:<table>`.
+export const localBackend = {
+  // Profile functions
+  async getProfile() {
+    try {
+      const profiles = await readTable('profiles');
+      return profiles.find(profile => profile.id === LOCAL_USER.id) ?? null;
+    } catch (error) {
+      console.error('Error in getProfile:', error);
+      throw error;
+    }
+  },
+
+  async createProfile(profile) {
+    try {
+      const profiles = await readTable('profiles');
+      const newProfile = { ...profile, created_at: new Date().toISOString() };
+      await writeTable('profiles', [...profiles, newProfile]);
+      return newProfile;
+    } catch (error) {
+      console.error('Error in createProfile:', error);
+      throw error;
+    }
+  },
+
+  async updateProfile(id, updates) {
+    try {
+      const profiles = await readTable('profiles');
+      const existing = profiles.find(profile => profile.id === id);
+      if (!existing) throw new Error('Profile not found');
+
+      const updatedProfile = { ...existing, ...updates };
+      await writeTable('profiles', profiles.map(profile =>
+        profile.id === id ? updatedProfile : profile
+      ));
+      return updatedProfile;
+    } catch (error) {
+      console.error('Error in updateProfile:', error);
+      throw error;
+    }
+  },
+
+  // Exercise functions
+  // Archived exercises are left out unless `includeArchived` is set
+  async getExercises({ includeArchived = false } = {}) {
+    try {
+      const exercises = await readTable('exercises');
+      return exercises
+        .filter(exercise => includeArchived || !exercise.is_archived)
+        .sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      console.error('Error in getExercises:', error);
+      throw error;
+    }
+  },
+
+  async createExercise(exercise) {
+    try {
+      const exercises = await readTable('exercises');
+      const newExercise = {
+        id: generateId(),
+        is_archived: false,
+        created_at: new Date().toISOString(),
+        ...exercise,
+        user_id: LOCAL_USER.id,
+      };
+      await writeTable('exercises', [...exercises, newExercise]);
+      return newExercise;
+    } catch (error) {
+      console.error('Error in createExercise:', error);
+      throw error;
+    }
+  },
+
+  async updateExercise(id, updates) {
+    try {
+      const exercises = await readTable('exercises');
+      const existing = exercises.find(exercise => exercise.id === id);
+      if (!existing) throw new Error('Exercise not found');
+
+      const updatedExercise = { ...existing, ...updates };
+      await writeTable('exercises', exercises.map(exercise =>
+        exercise.id === id ? updatedExercise : exercise
+      ));
+      return updatedExercise;
+    } catch (error) {
+      console.error('Error in updateExercise:', error);
+      throw error;
+    }
+  },
+
+  async deleteExercise(id) {
+    try {
+      const exercises = await readTable('exercises');
+      await writeTable('exercises', exercises.map(exercise =>
+        exercise.id === id ? { ...exercise, is_archived: true } : exercise
+      ));
+    } catch (error) {
+      console.error('Error in deleteExercise:', error);
+      throw error;
+    }
+  },
+
+  // Routine functions
+  async getRoutines() {
+    try {
+      const routines = await readTable('routines');
+      return routines.sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      console.error('Error in getRoutines:', error);
+      throw error;
+    }
+  },
+
+  async createRoutine(routine) {
+    try {
+      const routines = await readTable('routines');
+      const newRoutine = {
+        id: generateId(),
+        created_at: new Date().toISOString(),
+        ...routine,
+        user_id: LOCAL_USER.id,
+      };
+      await writeTable('routines', [...routines, newRoutine]);
+      return newRoutine;
+    } catch (error) {
+      console.error('Error in createRoutine:', error);
+      throw error;
+    }
+  },
+
+  async updateRoutine(id, updates) {
+    try {
+      const routines = await readTable('routines');
+      const existing = routines.find(routine => routine.id === id);
+      if (!existing) throw new Error('Routine not found');
+
+      const updatedRoutine = { ...existing, ...updates };
+      await writeTable('routines', routines.map(routine =>
+        routine.id === id ? updatedRoutine : routine
+      ));
+      return updatedRoutine;
+    } catch (error) {
+      console.error('Error in updateRoutine:', error);
+      throw error;
+    }
+  },
+
+  async deleteRoutine(id) {
+    try {
+      const routines = await readTable('routines');
+      await writeTable('routines', routines.filter(routine => routine.id !== id));
+    } catch (error) {
+      console.error('Error in deleteRoutine:', error);
+      throw error;
+    }
+  },
+
+  // Workout functions
+  async getTodaysWorkout(today = getToday()) {
+    try {
+      const workouts = await readTable('workouts');
+      return workouts
+        .filter(workout => workout.date === today)
+        .sort(byDateDescending)[0] ?? null;
+    } catch (error) {
+      console.error('Error in getTodaysWorkout:', error);
+      throw error;
+    }
+  },
+
+  async createWorkout(date, note = null, id = undefined, startedAt = new Date().toISOString()) {
+    try {
+      const workouts = await readTable('workouts');
+      const newWorkout = {
+        id: id ?? generateId(),
+        user_id: LOCAL_USER.id,
+        date,
+        note,
+        started_at: startedAt,
+        ended_at: null,
+        created_at: new Date().toISOString(),
+      };
+      await writeTable('workouts', [...workouts, newWorkout]);
+      return newWorkout;
+    } catch (error) {
+      console.error('Error in createWorkout:', error);
+      throw error;
+    }
+  },
+
+  async updateWorkout(id, updates) {
+    try {
+      const workouts = await readTable('workouts');
+      const existing = workouts.find(workout => workout.id === id);
+      if (!existing) throw new Error('Workout not found');
+
+      const updatedWorkout = { ...existing, ...updates };
+      await writeTable('workouts', workouts.map(workout =>
+        workout.id === id ? updatedWorkout : workout
+      ));
+      return updatedWorkout;
+    } catch (error) {
+      console.error('Error in updateWorkout:', error);
+      throw error;
+    }
+  },
+
+  // Deletes a workout along with its sets
+  async deleteWorkout(id) {
+    try {
+      const [workouts, sets] = await Promise.all([readTable('workouts'), readTable('sets')]);
+      await writeTable('sets', sets.filter(set => set.workout_id !== id));
+      await writeTable('workouts', workouts.filter(workout => workout.id !== id));
+    } catch (error) {
+      console.error('Error in deleteWorkout:', error);
+      throw error;
+    }
+  },
+
+  async getWorkoutsByDateRange(startDate, endDate) {
+    try {
+      const workouts = await readTable('workouts');
+      return workouts
+        .filter(workout => workout.date >= startDate && workout.date <= endDate)
+        .sort(byDateDescending);
+    } catch (error) {
+      console.error('Error in getWorkoutsByDateRange:', error);
+      throw error;
+    }
+  },
+
+  // Set functions
+  async getSetsForWorkout(workoutId) {
+    try {
+      const [sets, exercises] = await Promise.all([readTable('sets'), readTable('exercises')]);
+      return sets
+        .filter(set => set.workout_id === workoutId)
+        .sort(byOrderIndex)
+        .map(set => withExerciseName(set, exercises));
+    } catch (error) {
+      console.error('Error in getSetsForWorkout:', error);
+      throw error;
+    }
+  },
+
+  async createSet(set) {
+    try {
+      const sets = await readTable('sets');
+      const newSet = {
+        id: generateId(),
+        created_at: new Date().toISOString(),
+        ...set,
+      };
+      await writeTable('sets', [...sets, newSet]);
+      return newSet;
+    } catch (error) {
+      console.error('Error in createSet:', error);
+      throw error;
+    }
+  },
+
+  async createSets(newSets) {
+    try {
+      const sets = await readTable('sets');
+      const createdAt = new Date().toISOString();
+      const created = newSets.map(set => ({
+        id: generateId(),
+        created_at: createdAt,
+        ...set,
+      }));
+      await writeTable('sets', [...sets, ...created]);
+      return created;
+    } catch (error) {
+      console.error('Error in createSets:', error);
+      throw error;
+    }
+  },
+
+  async updateSet(id, updates) {
+    try {
+      const sets = await readTable('sets');
+      const existing = sets.find(set => set.id === id);
+      if (!existing) throw new Error('Set not found');
+
+      const updatedSet = { ...existing, ...updates };
+      await writeTable('sets', sets.map(set => set.id === id ? updatedSet : set));
+      return updatedSet;
+    } catch (error) {
+      console.error('Error in updateSet:', error);
+      throw error;
+    }
+  },
+
+  // Applies `[{ id, changes }]` to several sets in one write
+  async updateSets(updates) {
+    try {
+      const sets = await readTable('sets');
+      const changesById = new Map(updates.map(({ id, changes }) => [id, changes]));
+      const updatedSets = sets.map(set =>
+        changesById.has(set.id) ? { ...set, ...changesById.get(set.id) } : set
+      );
+      await writeTable('sets', updatedSets);
+      return updatedSets.filter(set => changesById.has(set.id));
+    } catch (error) {
+      console.error('Error in updateSets:', error);
+      throw error;
+    }
+  },
+
+  async deleteSet(id) {
+    try {
+      const sets = await readTable('sets');
+      await writeTable('sets', sets.filter(set => set.id !== id));
+    } catch (error) {
+      console.error('Error in deleteSet:', error);
+      throw error;
+    }
+  },
+
+  async getSetHistory() {
+    try {
+      const [workouts, sets, exercises] = await Promise.all([
+        readTable('workouts'),
+        readTable('sets'),
+        readTable('exercises'),
+      ]);
+
+      return sets
+        .map(set => {
+          const workout = workouts.find(w => w.id === set.workout_id);
+          return workout && {
+            ...withExerciseName(set, exercises),
+            date: workout.date,
+            started_at: workout.started_at ?? null,
+          };
+        })
+        .filter(Boolean);
+    } catch (error) {
+      console.error('Error in getSetHistory:', error);
+      throw error;
+    }
+  },
+
+  async getAccountStats() {
+    try {
+      const [workouts, sets, exercises] = await Promise.all([
+        readTable('workouts'),
+        readTable('sets'),
+        readTable('exercises'),
+      ]);
+      return computeAccountStats({ workouts, sets, exercises });
+    } catch (error) {
+      console.error('Error in getAccountStats:', error);
+      throw error;
+    }
+  },
+
+  // Backup functions
+  async getBackupData() {
+    try {
+      const [exercises, routines, workouts, sets] = await Promise.all([
+        readTable('exercises'),
+        readTable('routines'),
+        readTable('workouts'),
+        readTable('sets'),
+      ]);
+      return { exercises, routines, workouts, sets };
+    } catch (error) {
+      console.error('Error in getBackupData:', error);
+      throw error;
+    }
+  },
+
+  async deleteAllData() {
+    try {
+      await AsyncStorage.multiRemove(
+        ['exercises', 'routines', 'workouts', 'sets'].map(table => `${STORAGE_PREFIX}${table}`)
+      );
+    } catch (error) {
+      console.error('Error in deleteAllData:', error);
+      throw error;
+    }
+  },
+
+  // Stands in for the server-side deletion: the profile and every table go
+  async deleteAccount() {
+    try {
+      await AsyncStorage.multiRemove(TABLES.map(table => `${STORAGE_PREFIX}${table}`));
+    } catch (error) {
+      console.error('Error in deleteAccount:', error);
+      throw error;
+    }
+  },
+
+  // Export functions
+  async exportData() {
+    try {
+      const [workouts, sets, exercises] = await Promise.all([
+        readTable('workouts'),
+        readTable('sets'),
+        readTable('exercises'),
+      ]);
+
+      return workouts
+        .sort(byDateDescending)
+        .map(workout => ({
+          ...workout,
+          sets: sets
+            .filter(set => set.workout_id === workout.id)
+            .sort(byOrderIndex)
+            .map(set => withExerciseName(set, exercises)),
+        }));
+    } catch (error) {
+      console.error('Error in exportData:', error);
+      throw error;
+    }
+  },
+
+  // Raw table access for guest-account migration; not part of the
+  // shared `database` interface.
+  async readAll() {
+    const tables = await Promise.all(TABLES.map(readTable));
+    return TABLES.reduce((all, table, index) => {
+      all[table] = tables[index];
+      return all;
+    }, {});
+  },
+
+  async clear() {
+    await AsyncStorage.multiRemove(TABLES.map(table => `${STORAGE_PREFIX}${table}`));
+  },
+};
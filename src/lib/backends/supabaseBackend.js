@@ -0,0 +1,704 @@
+import { supabase } from '../supabase';
+import { getToday } from '../dates';
+import { computeAccountStats } from '../stats';
+
+// Reads the user from the persisted session instead of calling the auth
+// server, so queued mutations can be replayed without an extra round trip
+// and fail with a real network error when offline.
+const getSessionUser = async () => {
+  const { data: { session } } = await supabase.auth.getSession();
+  return session?.user ?? null;
+};
+
+// Postgres unique violation: inserting a row whose primary key is taken,
+// e.g. one that reached the server on an earlier, interrupted attempt
+export const isDuplicateKeyError = (error) => error?.code === '23505';
+
+// PostgREST caps a single response at 1000 rows, so whole-table reads are
+// fetched page by page. `buildQuery` must apply a stable order.
+const PAGE_SIZE = 1000;
+
+const selectAllPages = async (buildQuery) => {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
+  }
+};
+
+// Supabase implementation of the `database` interface (see ../database.js)
+export const supabaseBackend = {
+  // Profile functions
+  async getProfile() {
+    try {
+      const user = await getSessionUser();
+      if (!user) throw new Error('No authenticated user');
+
+      const { data, error } = await supabase
+        .from('profiles')
+        .select('*')
+        .eq('id', user.id)
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        console.error('Error getting profile:', error);
+        throw error;
+      }
+      
+      return data;
+    } catch (error) {
+      console.error('Error in getProfile:', error);
+      throw error;
+    }
+  },
+
+  async createProfile(profile) {
+    try {
+      const { data, error } = await supabase
+        .from('profiles')
+        .insert([profile])
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error creating profile:', error);
+        throw error;
+      }
+      
+      return data;
+    } catch (error) {
+      console.error('Error in createProfile:', error);
+      throw error;
+    }
+  },
+
+  async updateProfile(id, updates) {
+    try {
+      const { data, error } = await supabase
+        .from('profiles')
+        .update(updates)
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error updating profile:', error);
+        throw error;
+      }
+      
+      return data;
+    } catch (error) {
+      console.error('Error in updateProfile:', error);
+      throw error;
+    }
+  },
+
+  // Exercise functions
+  // Archived exercises are left out unless `includeArchived` is set
+  async getExercises({ includeArchived = false } = {}) {
+    try {
+      const user = await getSessionUser();
+      if (!user) throw new Error('No authenticated user');
+
+      let query = supabase
+        .from('exercises')
+        .select('*')
+        .eq('user_id', user.id);
+      if (!includeArchived) {
+        query = query.eq('is_archived', false);
+      }
+
+      const { data, error } = await query.order('name');
+
+      if (error) {
+        console.error('Error getting exercises:', error);
+        throw error;
+      }
+      
+      return data || [];
+    } catch (error) {
+      console.error('Error in getExercises:', error);
+      throw error;
+    }
+  },
+
+  async createExercise(exercise) {
+    try {
+      const user = await getSessionUser();
+      if (!user) throw new Error('No authenticated user');
+
+      const { data, error } = await supabase
+        .from('exercises')
+        .insert([{ ...exercise, user_id: user.id }])
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error creating exercise:', error);
+        throw error;
+      }
+      
+      return data;
+    } catch (error) {
+      console.error('Error in createExercise:', error);
+      throw error;
+    }
+  },
+
+  async updateExercise(id, updates) {
+    try {
+      const { data, error } = await supabase
+        .from('exercises')
+        .update(updates)
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error updating exercise:', error);
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error in updateExercise:', error);
+      throw error;
+    }
+  },
+
+  async deleteExercise(id) {
+    try {
+      const { error } = await supabase
+        .from('exercises')
+        .update({ is_archived: true })
+        .eq('id', id);
+
+      if (error) {
+        console.error('Error deleting exercise:', error);
+        throw error;
+      }
+    } catch (error) {
+      console.error('Error in deleteExercise:', error);
+      throw error;
+    }
+  },
+
+  // Routine functions
+  async getRoutines() {
+    try {
+      const user = await getSessionUser();
+      if (!user) throw new Error('No authenticated user');
+
+      const { data, error } = await supabase
+        .from('routines')
+        .select('*')
+        .eq('user_id', user.id)
+        .order('name');
+
+      if (error) {
+        console.error('Error getting routines:', error);
+        throw error;
+      }
+      
+      return data || [];
+    } catch (error) {
+      console.error('Error in getRoutines:', error);
+      throw error;
+    }
+  },
+
+  async createRoutine(routine) {
+    try {
+      const user = await getSessionUser();
+      if (!user) throw new Error('No authenticated user');
+
+      const { data, error } = await supabase
+        .from('routines')
+        .insert([{ ...routine, user_id: user.id }])
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error creating routine:', error);
+        throw error;
+      }
+      
+      return data;
+    } catch (error) {
+      console.error('Error in createRoutine:', error);
+      throw error;
+    }
+  },
+
+  async updateRoutine(id, updates) {
+    try {
+      const { data, error } = await supabase
+        .from('routines')
+        .update(updates)
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error updating routine:', error);
+        throw error;
+      }
+      
+      return data;
+    } catch (error) {
+      console.error('Error in updateRoutine:', error);
+      throw error;
+    }
+  },
+
+  async deleteRoutine(id) {
+    try {
+      const { error } = await supabase
+        .from('routines')
+        .delete()
+        .eq('id', id);
+
+      if (error) {
+        console.error('Error deleting routine:', error);
+        throw error;
+      }
+    } catch (error) {
+      console.error('Error in deleteRoutine:', error);
+      throw error;
+    }
+  },
+
+  // Workout functions
+  // Several sessions can share a date; the most recently started one wins.
+  async getTodaysWorkout(today = getToday()) {
+    try {
+      const user = await getSessionUser();
+      if (!user) throw new Error('No authenticated user');
+
+      const { data, error } = await supabase
+        .from('workouts')
+        .select('*')
+        .eq('user_id', user.id)
+        .eq('date', today)
+        .order('started_at', { ascending: false, nullsFirst: false })
+        .limit(1)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error getting today workout:', error);
+        throw error;
+      }
+      
+      return data;
+    } catch (error) {
+      console.error('Error in getTodaysWorkout:', error);
+      throw error;
+    }
+  },
+
+  async createWorkout(date, note = null, id = undefined, startedAt = new Date().toISOString()) {
+    try {
+      const user = await getSessionUser();
+      if (!user) throw new Error('No authenticated user');
+
+      const { data, error } = await supabase
+        .from('workouts')
+        .insert([{ ...(id && { id }), user_id: user.id, date, note, started_at: startedAt }])
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error creating workout:', error);
+        throw error;
+      }
+      
+      return data;
+    } catch (error) {
+      console.error('Error in createWorkout:', error);
+      throw error;
+    }
+  },
+
+  async updateWorkout(id, updates) {
+    try {
+      const { data, error } = await supabase
+        .from('workouts')
+        .update(updates)
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error updating workout:', error);
+        throw error;
+      }
+      
+      return data;
+    } catch (error) {
+      console.error('Error in updateWorkout:', error);
+      throw error;
+    }
+  },
+
+  // Deletes a workout along with its sets
+  async deleteWorkout(id) {
+    try {
+      const { error: setsError } = await supabase
+        .from('sets')
+        .delete()
+        .eq('workout_id', id);
+      if (setsError) throw setsError;
+
+      const { error } = await supabase
+        .from('workouts')
+        .delete()
+        .eq('id', id);
+
+      if (error) {
+        console.error('Error deleting workout:', error);
+        throw error;
+      }
+    } catch (error) {
+      console.error('Error in deleteWorkout:', error);
+      throw error;
+    }
+  },
+
+  async getWorkoutsByDateRange(startDate, endDate) {
+    try {
+      const user = await getSessionUser();
+      if (!user) throw new Error('No authenticated user');
+
+      const { data, error } = await supabase
+        .from('workouts')
+        .select('*')
+        .eq('user_id', user.id)
+        .gte('date', startDate)
+        .lte('date', endDate)
+        .order('date', { ascending: false })
+        .order('started_at', { ascending: false, nullsFirst: false });
+
+      if (error) {
+        console.error('Error getting workouts by date range:', error);
+        throw error;
+      }
+      
+      return data || [];
+    } catch (error) {
+      console.error('Error in getWorkoutsByDateRange:', error);
+      throw error;
+    }
+  },
+
+  // Set functions
+  async getSetsForWorkout(workoutId) {
+    try {
+      const { data, error } = await supabase
+        .from('sets')
+        .select(`
+          *,
+          exercise:exercises(name)
+        `)
+        .eq('workout_id', workoutId)
+        .order('order_index');
+
+      if (error) {
+        console.error('Error getting sets for workout:', error);
+        throw error;
+      }
+      
+      return data || [];
+    } catch (error) {
+      console.error('Error in getSetsForWorkout:', error);
+      throw error;
+    }
+  },
+
+  async createSet(set) {
+    try {
+      const { data, error } = await supabase
+        .from('sets')
+        .insert([set])
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error creating set:', error);
+        throw error;
+      }
+      
+      return data;
+    } catch (error) {
+      console.error('Error in createSet:', error);
+      throw error;
+    }
+  },
+
+  async createSets(sets) {
+    try {
+      if (sets.length === 0) return [];
+
+      const { data, error } = await supabase
+        .from('sets')
+        .insert(sets)
+        .select();
+
+      if (error) {
+        console.error('Error creating sets:', error);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('Error in createSets:', error);
+      throw error;
+    }
+  },
+
+  async updateSet(id, updates) {
+    try {
+      const { data, error } = await supabase
+        .from('sets')
+        .update(updates)
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error updating set:', error);
+        throw error;
+      }
+      
+      return data;
+    } catch (error) {
+      console.error('Error in updateSet:', error);
+      throw error;
+    }
+  },
+
+  // Applies `[{ id, changes }]` to several sets in a single upsert, so a
+  // reorder is saved as a whole or not at all. Postgres checks NOT NULL
+  // columns before it sees the conflict, so every `changes` must carry the
+  // set's `workout_id` and `exercise_id`, and all of them the same columns.
+  async updateSets(updates) {
+    try {
+      if (updates.length === 0) return [];
+
+      const { data, error } = await supabase
+        .from('sets')
+        .upsert(updates.map(({ id, changes }) => ({ id, ...changes })), { onConflict: 'id' })
+        .select();
+
+      if (error) {
+        console.error('Error updating sets:', error);
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error in updateSets:', error);
+      throw error;
+    }
+  },
+
+  async deleteSet(id) {
+    try {
+      const { error } = await supabase
+        .from('sets')
+        .delete()
+        .eq('id', id);
+
+      if (error) {
+        console.error('Error deleting set:', error);
+        throw error;
+      }
+    } catch (error) {
+      console.error('Error in deleteSet:', error);
+      throw error;
+    }
+  },
+
+  // Every set the user has logged, tagged with its workout's date and start
+  // time
+  async getSetHistory() {
+    try {
+      const user = await getSessionUser();
+      if (!user) throw new Error('No authenticated user');
+
+      const rows = await selectAllPages(() => supabase
+        .from('sets')
+        .select(`
+          *,
+          exercise:exercises(name),
+          workout:workouts!inner(date, started_at, user_id)
+        `)
+        .eq('workout.user_id', user.id)
+        .order('id'));
+
+      return rows.map(({ workout, ...set }) => ({
+        ...set,
+        date: workout.date,
+        started_at: workout.started_at,
+      }));
+    } catch (error) {
+      console.error('Error in getSetHistory:', error);
+      throw error;
+    }
+  },
+
+  // Aggregates are computed from the minimal columns rather than full rows
+  async getAccountStats() {
+    try {
+      const user = await getSessionUser();
+      if (!user) throw new Error('No authenticated user');
+
+      const [workouts, sets, exercises] = await Promise.all([
+        selectAllPages(() => supabase
+          .from('workouts')
+          .select('id, date')
+          .eq('user_id', user.id)
+          .order('id')),
+        selectAllPages(() => supabase
+          .from('sets')
+          .select('workout_id, exercise_id, reps, weight, duration_seconds, distance_m, set_type, workout:workouts!inner(user_id)')
+          .eq('workout.user_id', user.id)
+          .order('id')),
+        selectAllPages(() => supabase
+          .from('exercises')
+          .select('id, name')
+          .eq('user_id', user.id)
+          .order('id')),
+      ]);
+
+      return computeAccountStats({ workouts, sets, exercises });
+    } catch (error) {
+      console.error('Error in getAccountStats:', error);
+      throw error;
+    }
+  },
+
+  // Backup functions
+  // Every row the user owns, archived exercises included
+  async getBackupData() {
+    try {
+      const user = await getSessionUser();
+      if (!user) throw new Error('No authenticated user');
+
+      const ownRows = (table) => selectAllPages(() => supabase
+        .from(table)
+        .select('*')
+        .eq('user_id', user.id)
+        .order('id'));
+
+      const [exercises, routines, workouts, sets] = await Promise.all([
+        ownRows('exercises'),
+        ownRows('routines'),
+        ownRows('workouts'),
+        selectAllPages(() => supabase
+          .from('sets')
+          .select('*, workout:workouts!inner(user_id)')
+          .eq('workout.user_id', user.id)
+          .order('id')),
+      ]);
+
+      return {
+        exercises,
+        routines,
+        workouts,
+        sets: sets.map(({ workout, ...set }) => set),
+      };
+    } catch (error) {
+      console.error('Error in getBackupData:', error);
+      throw error;
+    }
+  },
+
+  // Removes all of the user's exercises, routines, workouts and sets. The
+  // profile is kept.
+  async deleteAllData() {
+    try {
+      const user = await getSessionUser();
+      if (!user) throw new Error('No authenticated user');
+
+      const workouts = await selectAllPages(() => supabase
+        .from('workouts')
+        .select('id')
+        .eq('user_id', user.id)
+        .order('id'));
+
+      // Keep the `in` filter short enough for the request URL
+      const workoutIds = workouts.map(workout => workout.id);
+      for (let i = 0; i < workoutIds.length; i += 100) {
+        const { error } = await supabase
+          .from('sets')
+          .delete()
+          .in('workout_id', workoutIds.slice(i, i + 100));
+        if (error) throw error;
+      }
+
+      for (const table of ['workouts', 'routines', 'exercises']) {
+        const { error } = await supabase
+          .from(table)
+          .delete()
+          .eq('user_id', user.id);
+        if (error) throw error;
+      }
+    } catch (error) {
+      console.error('Error in deleteAllData:', error);
+      throw error;
+    }
+  },
+
+  // Deletes the profile, all training data and the auth user. Needs the
+  // service role, so it runs in the `delete-account` edge function.
+  async deleteAccount() {
+    try {
+      const { error } = await supabase.functions.invoke('delete-account', {
+        method: 'POST',
+      });
+
+      if (error) {
+        console.error('Error deleting account:', error);
+        throw error;
+      }
+    } catch (error) {
+      console.error('Error in deleteAccount:', error);
+      throw error;
+    }
+  },
+
+  // Export functions
+  async exportData() {
+    try {
+      const user = await getSessionUser();
+      if (!user) throw new Error('No authenticated user');
+
+      const { data: workouts, error: workoutsError } = await supabase
+        .from('workouts')
+        .select(`
+          *,
+          sets(
+            *,
+            exercise:exercises(name)
+          )
+        `)
+        .eq('user_id', user.id)
+        .order('date', { ascending: false })
+        .order('started_at', { ascending: false, nullsFirst: false })
+        .order('order_index', { referencedTable: 'sets' });
+
+      if (workoutsError) {
+        console.error('Error exporting data:', workoutsError);
+        throw workoutsError;
+      }
+      
+      return workouts || [];
+    } catch (error) {
+      console.error('Error in exportData:', error);
+      throw error;
+    }
+  },
+};
@@ -0,0 +1,223 @@
+import { database } from './database';
+import { generateId } from './ids';
+
+export const BACKUP_APP = 'gym-tracker';
+export const BACKUP_VERSION = 1;
+
+// Upgrades a backup from version N to N + 1. Add an entry here whenever the
+// backup shape changes, so older files keep restoring.
+const MIGRATIONS = {};
+
+// Profile settings carried in a backup and restored in 'replace' mode
+export const BACKUP_PROFILE_FIELDS = [
+  'display_name',
+  'weight_unit',
+  'effort_scale',
+  'theme_mode',
+  'reminders',
+];
+
+const normalizeName = (name) => name.trim().toLowerCase();
+
+// Rows are stored without their owner, so a backup can be restored into any
+// account
+const withoutOwner = ({ user_id, ...row }) => row;
+
+export const createBackup = async (profile) => {
+  const data = await database.getBackupData();
+  return {
+    app: BACKUP_APP,
+    version: BACKUP_VERSION,
+    created_at: new Date().toISOString(),
+    profile: profile
+      ? Object.fromEntries(BACKUP_PROFILE_FIELDS.map(field => [field, profile[field] ?? null]))
+      : null,
+    exercises: data.exercises.map(withoutOwner),
+    routines: data.routines.map(withoutOwner),
+    workouts: data.workouts.map(withoutOwner),
+    sets: data.sets,
+  };
+};
+
+// Parses and validates a backup file, migrating it to the current version
+export const readBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    throw new Error('This file is not a valid backup');
+  }
+
+  if (backup?.app !== BACKUP_APP || !Number.isInteger(backup.version)) {
+    throw new Error('This file is not a valid backup');
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of the app. Update the app to restore it.');
+  }
+
+  while (backup.version < BACKUP_VERSION) {
+    const migrate = MIGRATIONS[backup.version];
+    if (!migrate) throw new Error(`Cannot restore backups from version ${backup.version}`);
+    backup = { ...migrate(backup), version: backup.version + 1 };
+  }
+
+  return {
+    ...backup,
+    exercises: backup.exercises || [],
+    routines: backup.routines || [],
+    workouts: backup.workouts || [],
+    sets: backup.sets || [],
+  };
+};
+
+// Throws on rows a restore could not write or link up, before anything in
+// the account is touched
+const validateBackup = (backup) => {
+  const exerciseIds = new Set(backup.exercises.map(exercise => exercise.id));
+  const workoutIds = new Set(backup.workouts.map(workout => workout.id));
+
+  const valid = backup.exercises.every(exercise => exercise.id && exercise.name?.trim())
+    && backup.routines.every(routine => routine.name?.trim())
+    && backup.workouts.every(workout => workout.id && workout.date)
+    && backup.sets.every(set => workoutIds.has(set.workout_id) && exerciseIds.has(set.exercise_id));
+  if (!valid) {
+    throw new Error('This backup is damaged and cannot be restored');
+  }
+};
+
+// Restores a backup read by `readBackup`. In 'replace' mode the account's
+// training data is deleted first; in 'merge' mode exercises (archived ones
+// too) and routines are matched by name and workouts already present (same
+// date and start time) are skipped. Every row gets a new id, so restoring
+// never collides with the rows the backup was taken from.
+//
+// The whole restore is worked out before the first write, so a backup that
+// can't be restored leaves the account as it was. Each workout is written
+// with its sets and removed again if they fail.
+export const restoreBackup = async (backup, mode) => {
+  validateBackup(backup);
+
+  const current = mode === 'merge'
+    ? await database.getBackupData()
+    : { exercises: [], routines: [], workouts: [] };
+
+  // Active exercises win over archived ones of the same name
+  const exerciseByName = new Map(
+    [...current.exercises]
+      .sort((a, b) => Number(b.is_archived) - Number(a.is_archived))
+      .map(exercise => [normalizeName(exercise.name), exercise])
+  );
+
+  const exerciseIds = {};
+  const newExercises = [];
+  const revivedExerciseIds = [];
+  for (const exercise of backup.exercises) {
+    const match = exerciseByName.get(normalizeName(exercise.name));
+    if (match) {
+      exerciseIds[exercise.id] = match.id;
+      if (match.is_archived && !exercise.is_archived) {
+        revivedExerciseIds.push(match.id);
+      }
+      continue;
+    }
+
+    const { created_at, ...fields } = exercise;
+    exerciseIds[exercise.id] = generateId();
+    newExercises.push({ ...fields, id: exerciseIds[exercise.id] });
+  }
+
+  const mapPlanItems = (items) => (items || []).map(item => ({
+    ...item,
+    exercise_id: exerciseIds[item.exercise_id] ?? item.exercise_id,
+  }));
+
+  const routineByName = new Map(
+    current.routines.map(routine => [normalizeName(routine.name), routine])
+  );
+  const routineIds = {};
+  const newRoutines = [];
+  for (const routine of backup.routines) {
+    const match = routineByName.get(normalizeName(routine.name));
+    if (match) {
+      routineIds[routine.id] = match.id;
+      continue;
+    }
+
+    routineIds[routine.id] = generateId();
+    newRoutines.push({
+      id: routineIds[routine.id],
+      name: routine.name,
+      items: mapPlanItems(routine.items),
+    });
+  }
+
+  const sessionKey = (workout) => `${workout.date}|${workout.started_at ?? ''}`;
+  const existingSessions = new Set(current.workouts.map(sessionKey));
+
+  const newWorkouts = backup.workouts
+    .filter(workout => !existingSessions.has(sessionKey(workout)))
+    .map(workout => {
+      const id = generateId();
+      return {
+        id,
+        date: workout.date,
+        note: workout.note ?? null,
+        started_at: workout.started_at ?? null,
+        sessionFields: {
+          ...(workout.ended_at && { ended_at: workout.ended_at }),
+          ...(workout.plan && { plan: mapPlanItems(workout.plan) }),
+          ...(workout.routine_id && { routine_id: routineIds[workout.routine_id] ?? null }),
+          ...(workout.supersets?.length && {
+            supersets: workout.supersets.map(superset => ({
+              ...superset,
+              exercise_ids: superset.exercise_ids.map(id => exerciseIds[id]),
+            })),
+          }),
+        },
+        sets: backup.sets
+          .filter(set => set.workout_id === workout.id)
+          .sort((a, b) => a.order_index - b.order_index)
+          .map(({ id: setId, exercise, ...set }, index) => ({
+            ...set,
+            workout_id: id,
+            exercise_id: exerciseIds[set.exercise_id],
+            order_index: index,
+          })),
+      };
+    });
+
+  if (mode === 'replace') {
+    await database.deleteAllData();
+  }
+
+  for (const exercise of newExercises) {
+    await database.createExercise(exercise);
+  }
+  for (const exerciseId of revivedExerciseIds) {
+    await database.updateExercise(exerciseId, { is_archived: false });
+  }
+  for (const routine of newRoutines) {
+    await database.createRoutine(routine);
+  }
+
+  let workoutCount = 0;
+  let setCount = 0;
+  for (const workout of newWorkouts) {
+    await database.createWorkout(workout.date, workout.note, workout.id, workout.started_at);
+    try {
+      if (Object.keys(workout.sessionFields).length > 0) {
+        await database.updateWorkout(workout.id, workout.sessionFields);
+      }
+      await database.createSets(workout.sets);
+    } catch (error) {
+      await database.deleteWorkout(workout.id).catch(cleanupError =>
+        console.error('Error removing partly restored workout:', cleanupError)
+      );
+      throw error;
+    }
+    workoutCount++;
+    setCount += workout.sets.length;
+  }
+
+  return { workoutCount, setCount };
+};
@@ -0,0 +1,12 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// AsyncStorage keys DataContext uses to render before the backend answers
+export const DATA_CACHE_KEYS = ['exercises', 'routines', 'todayWorkout', 'accountStats'];
+
+export const clearDataCache = async () => {
+  try {
+    await AsyncStorage.multiRemove(DATA_CACHE_KEYS);
+  } catch (error) {
+    console.error('Error clearing data cache:', error);
+  }
+};
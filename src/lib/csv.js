@@ -0,0 +1,62 @@
+// RFC 4180 style CSV: fields containing commas, quotes or line breaks are
+// wrapped in quotes, with embedded quotes doubled.
+export const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) =>
+  rows.map(row => row.map(escapeCsvValue).join(',')).join('\r\n');
+
+// Parses CSV text into an array of rows. Handles quoted fields with
+// embedded delimiters, quotes and line breaks, CRLF line endings and a
+// leading byte order mark. The delimiter is guessed from the header line
+// when not given, since some exporters use semicolons.
+export const parseCsv = (text, delimiter = null) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const headerLine = source.split(/\r?\n/, 1)[0] || '';
+  const separator = delimiter
+    ?? (headerLine.split(';').length > headerLine.split(',').length ? ';' : ',');
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
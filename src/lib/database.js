@@ -0,0 +1,65 @@
+import { supabaseBackend } from './backends/supabaseBackend';
+import { localBackend } from './backends/localBackend';
+
+export const BACKENDS = {
+  supabase: supabaseBackend,
+  local: localBackend,
+};
+
+// Every storage backend implements exactly these methods
+const DATABASE_METHODS = [
+  'getProfile',
+  'createProfile',
+  'updateProfile',
+  'getExercises',
+  'createExercise',
+  'updateExercise',
+  'deleteExercise',
+  'getRoutines',
+  'createRoutine',
+  'updateRoutine',
+  'deleteRoutine',
+  'getTodaysWorkout',
+  'createWorkout',
+  'updateWorkout',
+  'deleteWorkout',
+  'getWorkoutsByDateRange',
+  'getSetsForWorkout',
+  'createSet',
+  'createSets',
+  'updateSet',
+  'updateSets',
+  'deleteSet',
+  'getSetHistory',
+  'getAccountStats',
+  'getBackupData',
+  'deleteAllData',
+  'deleteAccount',
+  'exportData',
+];
+
+// Chosen at startup; set EXPO_PUBLIC_STORAGE_BACKEND=local to run the
+// whole app against on-device storage without a network connection.
+const defaultBackendName = BACKENDS[process.env.EXPO_PUBLIC_STORAGE_BACKEND]
+  ? process.env.EXPO_PUBLIC_STORAGE_BACKEND
+  : 'supabase';
+
+let backendName = defaultBackendName;
+
+export const getBackendName = () => backendName;
+
+export const getDefaultBackendName = () => defaultBackendName;
+
+export const setBackend = (name) => {
+  if (!BACKENDS[name]) {
+    throw new Error(`Unknown storage backend: ${name}`);
+  }
+  backendName = name;
+};
+
+// Stable facade over the active backend, so callers can keep importing
+// `database` while the implementation behind it is swapped.
+export const database = DATABASE_METHODS.reduce((api, method) => {
+  api[method] = (...args) => BACKENDS[backendName][method](...args);
+  return api;
+}, {});
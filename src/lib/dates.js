@@ -0,0 +1,74 @@
+// Workout dates are calendar days in the user's local timezone, stored as
+// `YYYY-MM-DD`. Never derive them from `toISOString()`, which is UTC.
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// A session with no activity for this long is considered finished, so a
+// workout that runs past midnight keeps receiving sets until then.
+export const ACTIVE_SESSION_GAP_MS = 3 * 60 * 60 * 1000;
+
+export const toLocalDateString = (date = new Date()) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const getToday = () => toLocalDateString(new Date());
+
+// Parses `YYYY-MM-DD` as local midnight (`new Date(string)` would use UTC)
+export const parseLocalDate = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+export const addDays = (dateString, days) => {
+  const date = parseLocalDate(dateString);
+  date.setDate(date.getDate() + days);
+  return toLocalDateString(date);
+};
+
+// "today", "yesterday", a weekday within the last week ("Mon"), otherwise
+// the date ("Mar 3")
+export const formatRelativeDay = (dateString, today = getToday()) => {
+  if (dateString === today) return 'today';
+  if (dateString === addDays(today, -1)) return 'yesterday';
+  const date = parseLocalDate(dateString);
+  return dateString > addDays(today, -7)
+    ? date.toLocaleDateString('en-US', { weekday: 'short' })
+    : date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
+export const getDeviceTimezone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const isSessionOngoing = (lastActivityAt, now = Date.now()) =>
+  !!lastActivityAt && now - new Date(lastActivityAt).getTime() < ACTIVE_SESSION_GAP_MS;
+
+// Milliseconds between a workout's start and finish (or now, while it runs);
+// null for workouts logged before sessions had start times.
+export const getWorkoutDuration = (workout, now = Date.now()) => {
+  if (!workout?.started_at) return null;
+  const end = workout.ended_at ? new Date(workout.ended_at).getTime() : now;
+  return Math.max(0, end - new Date(workout.started_at).getTime());
+};
+
+// Live clock style: 5:07, 1:05:07
+export const formatElapsed = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return hours > 0
+    ? `${hours}:${pad(minutes)}:${pad(seconds)}`
+    : `${minutes}:${pad(seconds)}`;
+};
+
+// Summary style: 45 min, 1h 05m
+export const formatDuration = (ms) => {
+  const totalMinutes = Math.round(ms / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `${hours}h ${pad(minutes)}m` : `${minutes} min`;
+};
@@ -0,0 +1,46 @@
+// Effort is stored on each set as `rpe` (6-10 in half steps, or null).
+// Users who prefer reps in reserve enter and see RIR, where RIR = 10 - RPE.
+
+export const EFFORT_SCALES = {
+  rpe: { label: 'RPE (rate of perceived exertion)', short: 'RPE' },
+  rir: { label: 'RIR (reps in reserve)', short: 'RIR' },
+};
+
+export const DEFAULT_EFFORT_SCALE = 'rpe';
+
+export const MIN_RPE = 6;
+export const MAX_RPE = 10;
+
+// 6, 6.5, ... 10
+const RPE_STEPS = Array.from({ length: (MAX_RPE - MIN_RPE) * 2 + 1 }, (_, i) => MIN_RPE + i / 2);
+
+export const resolveEffortScale = (profileScale) =>
+  EFFORT_SCALES[profileScale] ? profileScale : DEFAULT_EFFORT_SCALE;
+
+// The values offered in the set form, in the order they are shown
+export const getEffortOptions = (scale) =>
+  scale === 'rir' ? [...RPE_STEPS].reverse().map(rpe => MAX_RPE - rpe) : RPE_STEPS;
+
+export const toDisplayEffort = (rpe, scale) => {
+  if (rpe === null || rpe === undefined) return null;
+  return scale === 'rir' ? MAX_RPE - rpe : rpe;
+};
+
+export const fromDisplayEffort = (value, scale) => {
+  if (value === null || value === undefined) return null;
+  return scale === 'rir' ? MAX_RPE - value : value;
+};
+
+// "RPE 8", "2 RIR"
+export const formatEffort = (rpe, scale) => {
+  const value = toDisplayEffort(rpe, scale);
+  if (value === null) return '';
+  return scale === 'rir' ? `${value} RIR` : `RPE ${value}`;
+};
+
+// Reads RPE from an import column; out-of-range values are dropped
+export const parseRpe = (value) => {
+  const number = parseFloat(String(value ?? '').replace(',', '.'));
+  if (!Number.isFinite(number) || number < MIN_RPE || number > MAX_RPE) return null;
+  return Math.round(number * 2) / 2;
+};
@@ -0,0 +1,100 @@
+import { localBackend } from './backends/localBackend';
+import { isDuplicateKeyError, supabaseBackend } from './backends/supabaseBackend';
+
+const normalizeName = (name) => name.trim().toLowerCase();
+
+// Rows keep their client ids, so a row that went up on an earlier attempt
+// fails as a duplicate and is left as it is
+const createOnce = async (create) => {
+  try {
+    await create();
+  } catch (error) {
+    if (!isDuplicateKeyError(error)) throw error;
+  }
+};
+
+// Uploads everything logged in guest mode into the signed-in Supabase
+// account. Exercises whose name already exists in the account are merged
+// into it; routines and workouts are added alongside the account's own.
+// Local data is only cleared once every row made it, and running it again
+// after a failure picks up where the last attempt stopped.
+export const migrateGuestData = async () => {
+  const { exercises, routines, workouts, sets } = await localBackend.readAll();
+  if (exercises.length === 0 && routines.length === 0 && workouts.length === 0) return;
+
+  const remoteExercises = await supabaseBackend.getExercises();
+  const remoteByName = new Map(
+    remoteExercises.map(exercise => [normalizeName(exercise.name), exercise])
+  );
+
+  const exerciseIds = {};
+  for (const exercise of exercises) {
+    const match = remoteByName.get(normalizeName(exercise.name));
+    if (match) {
+      exerciseIds[exercise.id] = match.id;
+      continue;
+    }
+
+    const { user_id, created_at, ...fields } = exercise;
+    await createOnce(() => supabaseBackend.createExercise(fields));
+    exerciseIds[exercise.id] = exercise.id;
+    if (!exercise.is_archived) {
+      remoteByName.set(normalizeName(exercise.name), exercise);
+    }
+  }
+
+  const mapPlanItems = (items) => (items || []).map(item => ({
+    ...item,
+    exercise_id: exerciseIds[item.exercise_id] ?? item.exercise_id,
+  }));
+
+  const routineIds = new Set();
+  for (const routine of routines) {
+    await createOnce(() => supabaseBackend.createRoutine({
+      id: routine.id,
+      name: routine.name,
+      items: mapPlanItems(routine.items),
+    }));
+    routineIds.add(routine.id);
+  }
+
+  for (const workout of workouts) {
+    await createOnce(() => supabaseBackend.createWorkout(
+      workout.date,
+      workout.note,
+      workout.id,
+      workout.started_at ?? null
+    ));
+    const sessionFields = {
+      ...(workout.ended_at && { ended_at: workout.ended_at }),
+      ...(workout.plan && { plan: mapPlanItems(workout.plan) }),
+      ...(workout.routine_id && {
+        routine_id: routineIds.has(workout.routine_id) ? workout.routine_id : null,
+      }),
+      ...(workout.supersets?.length && {
+        supersets: workout.supersets.map(superset => ({
+          ...superset,
+          exercise_ids: superset.exercise_ids.map(id => exerciseIds[id] ?? id),
+        })),
+      }),
+    };
+    if (Object.keys(sessionFields).length > 0) {
+      await supabaseBackend.updateWorkout(workout.id, sessionFields);
+    }
+
+    const workoutSets = sets
+      .filter(set => set.workout_id === workout.id)
+      .sort((a, b) => a.order_index - b.order_index);
+
+    for (const [index, set] of workoutSets.entries()) {
+      const { created_at, exercise, ...fields } = set;
+      await createOnce(() => supabaseBackend.createSet({
+        ...fields,
+        exercise_id: exerciseIds[set.exercise_id] ?? set.exercise_id,
+        order_index: index,
+      }));
+    }
+  }
+
+  await localBackend.clear();
+};
@@ -0,0 +1,369 @@
+import { database } from './database';
+import { parseCsv } from './csv';
+import { toLocalDateString } from './dates';
+import { fromDisplayWeight } from './units';
+import { DEFAULT_SET_TYPE, parseSetType } from './setTypes';
+import { parseRpe } from './effort';
+import { DEFAULT_TRACKING_TYPE, fromDisplayDistance } from './tracking';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const normalizeName = (name) => name.trim().toLowerCase();
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const number = parseFloat(String(value).replace(',', '.'));
+  return Number.isFinite(number) ? number : null;
+};
+
+const positiveOrNull = (value) => (value && value > 0 ? value : null);
+
+// Accepts ISO timestamps (our export), "2023-01-15 08:30:00" (Strong, local
+// time) and "15 Jan 2023, 08:30" (Hevy, local time).
+export const parseDateTime = (text) => {
+  const value = (text || '').trim();
+  if (!value) return null;
+
+  let match = value.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (match) {
+    const [, year, month, day, hours, minutes, seconds] = match;
+    return new Date(+year, month - 1, +day, +hours, +minutes, +(seconds || 0));
+  }
+
+  match = value.match(/^(\d{1,2}) (\w{3})\w* (\d{4}),? (\d{1,2}):(\d{2})$/);
+  if (match) {
+    const [, day, monthName, year, hours, minutes] = match;
+    const month = MONTHS.indexOf(monthName.toLowerCase());
+    if (month === -1) return null;
+    return new Date(+year, month, +day, +hours, +minutes);
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Strong durations look like "1h 5m", "45m" or "50s"
+const parseStrongDuration = (text) => {
+  const value = (text || '').trim();
+  if (!value) return null;
+  const hours = value.match(/(\d+)\s*h/);
+  const minutes = value.match(/(\d+)\s*m/);
+  const seconds = value.match(/(\d+)\s*s/);
+  const total = (hours ? +hours[1] * 3600 : 0) + (minutes ? +minutes[1] * 60 : 0) + (seconds ? +seconds[1] : 0);
+  return total > 0 ? total * 1000 : null;
+};
+
+const FORMATS = {
+  strong: {
+    label: 'Strong',
+    matches: (headers) => headers.includes('Workout Name') && headers.includes('Exercise Name'),
+    hasUnitChoice: true,
+    toRow: (get, { weightUnit }) => {
+      // Rest timer entries are exported as rows of their own
+      if (get('Set Order') === 'Rest Timer') return null;
+      const startedAt = parseDateTime(get('Date'));
+      const duration = parseStrongDuration(get('Duration'));
+      const weight = toNumber(get('Weight'));
+      // Distances follow the same metric or imperial setting as weights
+      const distance = toNumber(get('Distance'));
+      return {
+        workoutKey: `${get('Date')}|${get('Workout Name')}`,
+        startedAt,
+        endedAt: startedAt && duration ? new Date(startedAt.getTime() + duration) : null,
+        note: get('Workout Notes') || null,
+        exerciseName: get('Exercise Name'),
+        reps: toNumber(get('Reps')),
+        weight: fromDisplayWeight(weight, weightUnit),
+        durationSeconds: toNumber(get('Seconds')),
+        distanceMeters: fromDisplayDistance(distance, weightUnit === 'lb' ? 'mi' : 'km'),
+        // Warm-up, drop and failure sets are "W", "D" and "F" instead of a number
+        setType: parseSetType(get('Set Order')),
+        rpe: parseRpe(get('RPE')),
+      };
+    },
+  },
+  hevy: {
+    label: 'Hevy',
+    matches: (headers) => headers.includes('exercise_title') && headers.includes('start_time'),
+    hasUnitChoice: false,
+    toRow: (get, { headers }) => {
+      const weight = headers.includes('weight_kg')
+        ? toNumber(get('weight_kg'))
+        : toNumber(get('weight_lbs'));
+      return {
+        workoutKey: `${get('start_time')}|${get('title')}`,
+        startedAt: parseDateTime(get('start_time')),
+        endedAt: parseDateTime(get('end_time')),
+        note: get('description') || null,
+        exerciseName: get('exercise_title'),
+        reps: toNumber(get('reps')),
+        weight: fromDisplayWeight(weight, headers.includes('weight_kg') ? 'kg' : 'lb'),
+        durationSeconds: toNumber(get('duration_seconds')),
+        distanceMeters: headers.includes('distance_km')
+          ? fromDisplayDistance(toNumber(get('distance_km')), 'km')
+          : fromDisplayDistance(toNumber(get('distance_miles')), 'mi'),
+        setType: parseSetType(get('set_type')),
+        rpe: parseRpe(get('rpe')),
+      };
+    },
+  },
+  gymTracker: {
+    label: 'Gym Tracker export',
+    matches: (headers) => headers.includes('Exercise') && headers.includes('Set') && headers.includes('Reps'),
+    hasUnitChoice: false,
+    toRow: (get) => {
+      const weight = toNumber(get('Weight'));
+      const unit = (get('Unit') || 'kg').toLowerCase();
+      const startedAt = parseDateTime(get('Start'));
+      return {
+        workoutKey: `${get('Date')}|${get('Start')}`,
+        date: get('Date'),
+        startedAt,
+        endedAt: parseDateTime(get('End')),
+        note: get('Workout Note') || null,
+        exerciseName: get('Exercise'),
+        reps: toNumber(get('Reps')),
+        weight: fromDisplayWeight(weight, unit.startsWith('lb') ? 'lb' : 'kg'),
+        durationSeconds: toNumber(get('Duration (s)')),
+        distanceMeters: toNumber(get('Distance (m)')),
+        setType: parseSetType(get('Set Type')),
+        rpe: parseRpe(get('RPE')),
+      };
+    },
+  },
+};
+
+export const detectImportFormat = (text) => {
+  const [headers = []] = parseCsv(text);
+  const trimmed = headers.map(header => header.trim());
+  const name = Object.keys(FORMATS).find(key => FORMATS[key].matches(trimmed));
+  return name ? { name, ...FORMATS[name] } : null;
+};
+
+// Parses an export into workouts of `{ date, started_at, ended_at, note,
+// sets: [{ exercise_name, reps, weight, duration_seconds, distance_m,
+// set_type, rpe }] }`, oldest first. Rows without reps, time or distance are
+// counted in `skippedRows`.
+export const parseImportFile = (text, { weightUnit = 'kg' } = {}) => {
+  const format = detectImportFormat(text);
+  if (!format) {
+    throw new Error('Unrecognized file. Expected a Strong, Hevy or Gym Tracker CSV export.');
+  }
+
+  const [headerRow, ...rows] = parseCsv(text);
+  const headers = headerRow.map(header => header.trim());
+  const workoutsByKey = new Map();
+  let skippedRows = 0;
+
+  rows.forEach(cells => {
+    const get = (column) => {
+      const index = headers.indexOf(column);
+      return index === -1 ? '' : (cells[index] ?? '').trim();
+    };
+
+    const row = format.toRow(get, { headers, weightUnit });
+    if (!row) return;
+
+    const date = row.date || (row.startedAt && toLocalDateString(row.startedAt));
+    const reps = positiveOrNull(row.reps);
+    const durationSeconds = positiveOrNull(row.durationSeconds);
+    const distanceMeters = positiveOrNull(row.distanceMeters);
+    if (!date || !row.exerciseName || (!reps && !durationSeconds && !distanceMeters)) {
+      skippedRows++;
+      return;
+    }
+
+    if (!workoutsByKey.has(row.workoutKey)) {
+      workoutsByKey.set(row.workoutKey, {
+        date,
+        started_at: row.startedAt ? row.startedAt.toISOString() : null,
+        ended_at: row.endedAt ? row.endedAt.toISOString() : null,
+        note: row.note,
+        sets: [],
+      });
+    }
+
+    workoutsByKey.get(row.workoutKey).sets.push({
+      exercise_name: row.exerciseName,
+      reps: reps && Math.round(reps),
+      weight: positiveOrNull(row.weight),
+      duration_seconds: durationSeconds && Math.round(durationSeconds),
+      distance_m: distanceMeters,
+      set_type: row.setType || DEFAULT_SET_TYPE,
+      rpe: row.rpe,
+    });
+  });
+
+  const workouts = [...workoutsByKey.values()].sort((a, b) =>
+    a.date.localeCompare(b.date) || (a.started_at ?? '').localeCompare(b.started_at ?? '')
+  );
+
+  return { format: format.name, formatLabel: format.label, workouts, skippedRows };
+};
+
+// Exercises created by an import track whatever their sets recorded
+const inferTrackingType = (sets) => {
+  const has = (field) => sets.some(set => set[field] !== null);
+  if (has('distance_m')) return has('weight') ? 'weight_distance' : 'distance_time';
+  if (has('duration_seconds') && !has('reps')) return 'time';
+  return DEFAULT_TRACKING_TYPE;
+};
+
+// Matches imported exercise names onto the user's exercises and flags sets
+// already logged. A set is a duplicate when the user already has that
+// exercise's Nth set on the same date.
+export const planImport = (parsed, { exercises, setHistory }) => {
+  const exerciseByName = new Map(
+    exercises.map(exercise => [normalizeName(exercise.name), exercise])
+  );
+  const exerciseNames = new Map(exercises.map(exercise => [exercise.id, exercise.name]));
+
+  // Sets already logged per day and exercise, and the workout holding them
+  const existingCounts = {};
+  const existingWorkoutIds = {};
+  const nextOrderIndex = {};
+  setHistory.forEach(set => {
+    nextOrderIndex[set.workout_id] = Math.max(
+      nextOrderIndex[set.workout_id] ?? 0,
+      (set.order_index ?? 0) + 1
+    );
+    const name = exerciseNames.get(set.exercise_id) ?? set.exercise?.name;
+    if (!name) return;
+    const key = `${set.date}|${normalizeName(name)}`;
+    existingCounts[key] = (existingCounts[key] || 0) + 1;
+    existingWorkoutIds[key] = existingWorkoutIds[key] ?? set.workout_id;
+  });
+
+  const importedCounts = {};
+  const newExercises = new Map();
+  let duplicateSets = 0;
+
+  const workouts = parsed.workouts.map(workout => {
+    let existingWorkoutId = null;
+    const sets = workout.sets.map(set => {
+      const name = normalizeName(set.exercise_name);
+      const key = `${workout.date}|${name}`;
+      importedCounts[key] = (importedCounts[key] || 0) + 1;
+      const duplicate = importedCounts[key] <= (existingCounts[key] || 0);
+      if (duplicate) {
+        duplicateSets++;
+        existingWorkoutId = existingWorkoutId ?? existingWorkoutIds[key];
+      }
+
+      const exercise = exerciseByName.get(name);
+      if (!exercise && !duplicate) {
+        if (!newExercises.has(name)) {
+          newExercises.set(name, { name: set.exercise_name.trim(), sets: [] });
+        }
+        newExercises.get(name).sets.push(set);
+      }
+      return { ...set, exercise_id: exercise?.id ?? null, duplicate };
+    });
+    return {
+      ...workout,
+      sets,
+      duplicate: sets.every(set => set.duplicate),
+      // A session that was partly imported before gets the rest of its sets
+      existingWorkoutId,
+      firstOrderIndex: existingWorkoutId ? nextOrderIndex[existingWorkoutId] ?? 0 : 0,
+    };
+  });
+
+  const toImport = workouts.filter(workout => !workout.duplicate);
+
+  return {
+    ...parsed,
+    workouts,
+    // [{ name, tracking_type }]
+    newExercises: [...newExercises.values()].map(({ name, sets }) => ({
+      name,
+      tracking_type: inferTrackingType(sets),
+    })),
+    workoutCount: toImport.length,
+    setCount: toImport.reduce((sum, workout) =>
+      sum + workout.sets.filter(set => !set.duplicate).length, 0),
+    duplicateSets,
+  };
+};
+
+// Writes a planned import straight through the database layer. Workouts and
+// their sets are inserted in bulk; rerunning the same file only adds what
+// the duplicate check lets through. Exercises archived under a planned new
+// name are restored instead of created twice.
+export const runImport = async (plan) => {
+  const archivedByName = new Map(
+    (await database.getExercises({ includeArchived: true }))
+      .filter(exercise => exercise.is_archived)
+      .map(exercise => [normalizeName(exercise.name), exercise])
+  );
+
+  const exerciseIds = new Map();
+  let exerciseCount = 0;
+  for (const { name, tracking_type } of plan.newExercises) {
+    const archived = archivedByName.get(normalizeName(name));
+    if (archived) {
+      await database.updateExercise(archived.id, { is_archived: false });
+      exerciseIds.set(normalizeName(name), archived.id);
+      continue;
+    }
+
+    const created = await database.createExercise({ name, tracking_type, is_archived: false });
+    exerciseIds.set(normalizeName(name), created.id);
+    exerciseCount++;
+  }
+
+  let workoutCount = 0;
+  let setCount = 0;
+  // Where the next sets go in sessions that were partly there already
+  const nextOrderIndex = new Map();
+
+  for (const workout of plan.workouts) {
+    if (workout.duplicate) continue;
+
+    let workoutId = workout.existingWorkoutId;
+    if (!workoutId) {
+      const created = await database.createWorkout(
+        workout.date,
+        workout.note,
+        undefined,
+        workout.started_at
+      );
+      workoutId = created.id;
+    }
+
+    const firstOrderIndex = nextOrderIndex.get(workoutId) ?? workout.firstOrderIndex;
+    const sets = workout.sets
+      .filter(set => !set.duplicate)
+      .map((set, index) => ({
+        workout_id: workoutId,
+        exercise_id: set.exercise_id ?? exerciseIds.get(normalizeName(set.exercise_name)),
+        reps: set.reps,
+        weight: set.weight,
+        duration_seconds: set.duration_seconds,
+        distance_m: set.distance_m,
+        set_type: set.set_type,
+        rpe: set.rpe,
+        order_index: firstOrderIndex + index,
+      }));
+
+    try {
+      if (!workout.existingWorkoutId && workout.ended_at) {
+        await database.updateWorkout(workoutId, { ended_at: workout.ended_at });
+      }
+      await database.createSets(sets);
+    } catch (error) {
+      // Don't leave an empty workout behind
+      if (!workout.existingWorkoutId) {
+        await database.deleteWorkout(workoutId).catch(cleanupError =>
+          console.error('Error removing partly imported workout:', cleanupError)
+        );
+      }
+      throw error;
+    }
+    nextOrderIndex.set(workoutId, firstOrderIndex + sets.length);
+    workoutCount++;
+    setCount += sets.length;
+  }
+
+  return { workoutCount, setCount, exerciseCount };
+};
@@ -0,0 +1,236 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import { database, getBackendName } from './database';
+import { generateId } from './ids';
+
+const QUEUE_KEY = 'mutationQueue';
+const MAX_ATTEMPTS = 5;
+
+// Postgres unique violation: the row already reached the server on an
+// earlier attempt whose response was lost, so the replay is a no-op.
+const DUPLICATE_KEY_CODE = '23505';
+
+const CREATE_FOR_DELETE = {
+  deleteSet: 'createSet',
+  deleteExercise: 'createExercise',
+  deleteRoutine: 'createRoutine',
+};
+
+const CREATE_FOR_UPDATE = {
+  updateSet: 'createSet',
+  updateExercise: 'createExercise',
+  updateRoutine: 'createRoutine',
+};
+
+// Batched edits that may still list a row whose insert was cancelled
+const BATCH_UPDATE_FOR_DELETE = {
+  deleteSet: 'updateSets',
+};
+
+let queue = null;
+let flushPromise = null;
+// The item being replayed right now. It may already have reached the server,
+// so it is never cancelled or folded into.
+let inFlight = null;
+const listeners = new Set();
+
+const isNetworkError = (error) => {
+  const message = `${error?.message || error || ''}`;
+  return /network request failed|failed to fetch|network error|timed? ?out/i.test(message);
+};
+
+const loadQueue = async () => {
+  if (queue) return queue;
+
+  try {
+    const stored = await AsyncStorage.getItem(QUEUE_KEY);
+    queue = stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error loading mutation queue:', error);
+    queue = [];
+  }
+  return queue;
+};
+
+const saveQueue = async () => {
+  try {
+    await AsyncStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+  } catch (error) {
+    console.error('Error saving mutation queue:', error);
+  }
+  notify();
+};
+
+const notify = () => {
+  const snapshot = getStatus();
+  listeners.forEach(listener => listener(snapshot));
+};
+
+const getStatus = () => {
+  const items = queue || [];
+  return {
+    pending: items.filter(item => item.status === 'pending').length,
+    failed: items.filter(item => item.status === 'failed').length,
+    flushing: !!flushPromise,
+  };
+};
+
+const replay = async (item) => {
+  try {
+    await database[item.method](...item.args);
+  } catch (error) {
+    if (error?.code === DUPLICATE_KEY_CODE && item.method.startsWith('create')) {
+      return;
+    }
+    throw error;
+  }
+};
+
+const runFlush = async () => {
+  await loadQueue();
+
+  if (getBackendName() !== 'local') {
+    const network = await NetInfo.fetch();
+    if (network.isConnected === false) {
+      return;
+    }
+  }
+
+  // Replay strictly in order and stop at the first item that does not go
+  // through: later mutations may depend on it (a set needs its workout).
+  while (queue.length > 0) {
+    const item = queue[0];
+    if (item.status === 'failed') break;
+
+    try {
+      inFlight = item;
+      await replay(item);
+      // `queue` may have been replaced meanwhile, so drop this very item
+      queue = queue.filter(queued => queued !== item);
+      await saveQueue();
+    } catch (error) {
+      if (!isNetworkError(error)) {
+        item.attempts += 1;
+        item.lastError = error?.message || String(error);
+        if (item.attempts >= MAX_ATTEMPTS) {
+          item.status = 'failed';
+        }
+        await saveQueue();
+      }
+      console.error(`Error replaying ${item.method}:`, error);
+      break;
+    } finally {
+      inFlight = null;
+    }
+  }
+};
+
+// Persisted outbox of database mutations. Screens apply changes to local
+// state optimistically and enqueue the matching `database` call here; the
+// queue replays them in order whenever the device is online.
+export const mutationQueue = {
+  async enqueue(method, args) {
+    await loadQueue();
+
+    // Deleting a row that never left the device just cancels its insert
+    // along with any queued edits to it.
+    const createMethod = CREATE_FOR_DELETE[method];
+    if (createMethod) {
+      const pendingCreate = queue.find(item =>
+        item !== inFlight && item.method === createMethod && item.args[0]?.id === args[0]
+      );
+      if (pendingCreate) {
+        queue = queue
+          .filter(item => item !== pendingCreate && item.args[0] !== args[0])
+          .map(item => item !== inFlight && item.method === BATCH_UPDATE_FOR_DELETE[method]
+            ? { ...item, args: [item.args[0].filter(update => update.id !== args[0])] }
+            : item
+          );
+        await saveQueue();
+        return;
+      }
+    }
+
+    // Edits to a row that is still waiting to be inserted fold into the insert.
+    const foldInto = CREATE_FOR_UPDATE[method];
+    if (foldInto) {
+      const pendingCreate = queue.find(item =>
+        item !== inFlight
+          && item.method === foldInto
+          && item.status === 'pending'
+          && item.args[0]?.id === args[0]
+      );
+      if (pendingCreate) {
+        pendingCreate.args[0] = { ...pendingCreate.args[0], ...args[1] };
+        await saveQueue();
+        this.flush();
+        return;
+      }
+    }
+
+    queue.push({
+      id: generateId(),
+      method,
+      args,
+      status: 'pending',
+      attempts: 0,
+      lastError: null,
+      createdAt: new Date().toISOString(),
+    });
+    await saveQueue();
+    this.flush();
+  },
+
+  async flush() {
+    if (!flushPromise) {
+      flushPromise = runFlush()
+        .catch(error => console.error('Error flushing mutation queue:', error))
+        .finally(() => {
+          flushPromise = null;
+          notify();
+        });
+      notify();
+    }
+    return flushPromise;
+  },
+
+  async retryFailed() {
+    await loadQueue();
+    queue.forEach(item => {
+      if (item.status === 'failed') {
+        item.status = 'pending';
+        item.attempts = 0;
+      }
+    });
+    await saveQueue();
+    return this.flush();
+  },
+
+  async discardFailed() {
+    await loadQueue();
+    queue = queue.filter(item => item.status !== 'failed');
+    await saveQueue();
+  },
+
+  // Drops every queued change, e.g. once the account they belong to is gone
+  async clear() {
+    queue = [];
+    await saveQueue();
+  },
+
+  // Failed items wait for the user to retry or discard them and don't count
+  async hasPending() {
+    await loadQueue();
+    return queue.some(item => item.status === 'pending');
+  },
+
+  async getStatus() {
+    await loadQueue();
+    return getStatus();
+  },
+
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+};
@@ -0,0 +1,98 @@
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+
+// Show notifications as banners even while the app is in the foreground
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowBanner: true,
+    shouldShowList: true,
+    shouldPlaySound: true,
+    shouldSetBadge: false,
+  }),
+});
+
+export const ensureNotificationPermission = async () => {
+  try {
+    if (Platform.OS === 'android') {
+      await Notifications.setNotificationChannelAsync('default', {
+        name: 'Default',
+        importance: Notifications.AndroidImportance.HIGH,
+        vibrationPattern: [0, 400, 200, 400],
+      });
+    }
+
+    const { status } = await Notifications.getPermissionsAsync();
+    if (status === 'granted') return true;
+
+    const { status: requested } = await Notifications.requestPermissionsAsync();
+    return requested === 'granted';
+  } catch (error) {
+    console.error('Error requesting notification permission:', error);
+    return false;
+  }
+};
+
+export const scheduleNotification = async ({ title, body, seconds }) => {
+  try {
+    if (!(await ensureNotificationPermission())) return null;
+
+    return await Notifications.scheduleNotificationAsync({
+      content: { title, body, sound: true },
+      trigger: {
+        type: Notifications.SchedulableTriggerInputTypes.TIME_INTERVAL,
+        seconds: Math.max(1, Math.round(seconds)),
+      },
+    });
+  } catch (error) {
+    console.error('Error scheduling notification:', error);
+    return null;
+  }
+};
+
+// Schedules a notification for a wall-clock time. Scheduling again with the
+// same identifier replaces the earlier one.
+export const scheduleNotificationAt = async ({ identifier, title, body, date }) => {
+  try {
+    return await Notifications.scheduleNotificationAsync({
+      identifier,
+      content: { title, body, sound: true },
+      trigger: {
+        type: Notifications.SchedulableTriggerInputTypes.DATE,
+        date,
+      },
+    });
+  } catch (error) {
+    console.error('Error scheduling notification:', error);
+    return null;
+  }
+};
+
+export const cancelNotificationsWithPrefix = async (prefix) => {
+  try {
+    const scheduled = await Notifications.getAllScheduledNotificationsAsync();
+    await Promise.all(scheduled
+      .filter(notification => notification.identifier.startsWith(prefix))
+      .map(notification =>
+        Notifications.cancelScheduledNotificationAsync(notification.identifier)
+      ));
+  } catch (error) {
+    console.error('Error cancelling notifications:', error);
+  }
+};
+
+export const cancelAllNotifications = async () => {
+  try {
+    await Notifications.cancelAllScheduledNotificationsAsync();
+  } catch (error) {
+    console.error('Error cancelling notifications:', error);
+  }
+};
+
+export const cancelNotification = async (notificationId) => {
+  if (!notificationId) return;
+  try {
+    await Notifications.cancelScheduledNotificationAsync(notificationId);
+  } catch (error) {
+    console.error('Error cancelling notification:', error);
+  }
+};
@@ -0,0 +1,15 @@
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+
+// Lets the user pick a file and returns `{ name, contents }`, or null when
+// the picker was cancelled. See pickFile.web.js for the browser version.
+export const pickTextFile = async (type = '*/*') => {
+  const result = await DocumentPicker.getDocumentAsync({ type, copyToCacheDirectory: true });
+  if (result.canceled) return null;
+
+  const [asset] = result.assets;
+  const contents = await FileSystem.readAsStringAsync(asset.uri, {
+    encoding: FileSystem.EncodingType.UTF8,
+  });
+  return { name: asset.name, contents };
+};
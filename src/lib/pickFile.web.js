@@ -0,0 +1,10 @@
+import * as DocumentPicker from 'expo-document-picker';
+
+// On web the picker hands back a browser File, read directly
+export const pickTextFile = async (type = '*/*') => {
+  const result = await DocumentPicker.getDocumentAsync({ type });
+  if (result.canceled) return null;
+
+  const [asset] = result.assets;
+  return { name: asset.name, contents: await asset.file.text() };
+};
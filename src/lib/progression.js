@@ -0,0 +1,103 @@
+// Progressive overload: proposes the next session's target for an exercise
+// from its history (see `summarizeExerciseSessions`).
+//
+// Each exercise trains in a rep range, `rep_min`-`rep_max`, and goes up in
+// load by `weight_increment` (kg; null uses the unit's usual plate jump).
+// Once every top set reaches the top of the range the weight goes up and
+// reps restart at the bottom; until then a rep is added. Missing the bottom
+// of the range at the same weight too many sessions in a row deloads.
+
+import { getSetType } from './setTypes';
+import { WEIGHT_UNITS, fromDisplayWeight } from './units';
+
+export const DEFAULT_REP_RANGE = { min: 8, max: 12 };
+
+export const REP_RANGE_PRESETS = [
+  { min: 3, max: 5 },
+  { min: 5, max: 8 },
+  { min: 6, max: 10 },
+  { min: 8, max: 12 },
+  { min: 12, max: 15 },
+  { min: 15, max: 20 },
+];
+
+// In the exercise's weight unit
+export const INCREMENT_PRESETS = {
+  kg: [1, 1.25, 2.5, 5],
+  lb: [2.5, 5, 10],
+};
+
+// Sessions in a row below the rep range before backing off
+export const DELOAD_AFTER_FAILURES = 3;
+export const DELOAD_FACTOR = 0.9;
+
+export const SUGGESTION_REASONS = {
+  increase_weight: { label: 'Add weight', icon: 'trending-up' },
+  add_reps: { label: 'Add a rep', icon: 'plus' },
+  deload: { label: 'Deload', icon: 'trending-down' },
+};
+
+// Only rep-based exercises progress this way
+const PROGRESSING_TRACKING_TYPES = ['reps_weight', 'reps'];
+
+export const hasProgression = (trackingType) =>
+  PROGRESSING_TRACKING_TYPES.includes(trackingType);
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// `{ repMin, repMax, increment }` with the increment in kilograms
+export const getProgressionSettings = (exercise, weightUnit) => ({
+  repMin: exercise?.rep_min ?? DEFAULT_REP_RANGE.min,
+  repMax: exercise?.rep_max ?? DEFAULT_REP_RANGE.max,
+  increment: exercise?.weight_increment
+    ?? fromDisplayWeight(WEIGHT_UNITS[weightUnit].increment, weightUnit),
+});
+
+// The working sets done at the session's heaviest weight, which are the
+// ones progression is judged on; drop and failure sets are left out
+const getTopSets = (session) => {
+  const working = session.sets.filter(set => getSetType(set) === 'working' && set.reps);
+  const topWeight = Math.max(0, ...working.map(set => set.weight || 0));
+  return working.filter(set => (set.weight || 0) === topWeight);
+};
+
+const missedRange = (topSets, repMin) => topSets.some(set => set.reps < repMin);
+
+// `{ sets, reps, weight, reason, date }` for the session after the last one
+// in `sessions` (oldest first), or null without a working set to go on.
+// `weight` is in kilograms and null for bodyweight exercises.
+export const suggestNextTarget = (sessions, { trackingType, repMin, repMax, increment }) => {
+  if (!hasProgression(trackingType)) return null;
+
+  const history = sessions
+    .map(session => ({ date: session.date, topSets: getTopSets(session) }))
+    .filter(session => session.topSets.length > 0);
+  const last = history[history.length - 1];
+  if (!last) return null;
+
+  const weight = trackingType === 'reps_weight' ? last.topSets[0].weight || null : null;
+  const lowestReps = Math.min(...last.topSets.map(set => set.reps));
+  const target = { sets: last.topSets.length, date: last.date };
+
+  if (weight) {
+    const failures = [...history].reverse().findIndex(session =>
+      (session.topSets[0].weight || null) !== weight || !missedRange(session.topSets, repMin)
+    );
+    if ((failures === -1 ? history.length : failures) >= DELOAD_AFTER_FAILURES) {
+      // Down to a whole number of increments so the bar can still be loaded
+      const deloaded = Math.floor((weight * DELOAD_FACTOR) / increment) * increment;
+      return { ...target, reps: repMin, weight: round(deloaded) || null, reason: 'deload' };
+    }
+
+    if (lowestReps >= repMax) {
+      return { ...target, reps: repMin, weight: round(weight + increment), reason: 'increase_weight' };
+    }
+  }
+
+  return {
+    ...target,
+    reps: weight ? Math.min(repMax, Math.max(repMin, lowestReps + 1)) : lowestReps + 1,
+    weight,
+    reason: 'add_reps',
+  };
+};
@@ -0,0 +1,206 @@
+// Personal record detection over a user's full set history.
+//
+// History rows are sets annotated with their workout's `date` and
+// `started_at` (see `database.getSetHistory`). Records are computed per
+// exercise in the order sets were performed; an exercise's first session
+// only sets the baseline and is never flagged as a PR. Warm-up sets and
+// sets without reps (timed holds, runs, carries) are ignored.
+
+import { countedSets, getSetType, isWarmup } from './setTypes';
+import { MAX_RPE } from './effort';
+
+export const PR_TYPES = {
+  weight: { label: 'Heaviest weight', short: 'Weight' },
+  reps: { label: 'Most reps at weight', short: 'Reps' },
+  e1rm: { label: 'Best estimated 1RM', short: 'e1RM' },
+  volume: { label: 'Best session volume', short: 'Volume' },
+};
+
+// Epley formula; a single is its own 1RM. With an RPE, the reps left in
+// reserve are added first, so 100kg x5 @ RPE 8 counts as a 7-rep max.
+export const estimateOneRepMax = (weight, reps, rpe = null) => {
+  if (!weight || !reps) return null;
+  const maxReps = reps + (rpe ? MAX_RPE - rpe : 0);
+  if (maxReps === 1) return weight;
+  return weight * (1 + maxReps / 30);
+};
+
+export const compareChronologically = (a, b) =>
+  a.date.localeCompare(b.date) ||
+  (a.started_at ?? '').localeCompare(b.started_at ?? '') ||
+  (a.order_index ?? 0) - (b.order_index ?? 0);
+
+const round = (value) => Math.round(value * 10) / 10;
+
+export const computePersonalRecords = (history) => {
+  const bySet = {};
+  const byWorkout = {};
+  const byExercise = {};
+
+  const sorted = countedSets(history)
+    .filter(set => set.reps)
+    .sort(compareChronologically);
+
+  const flag = (exerciseId, entry) => {
+    const exercise = byExercise[exerciseId];
+    exercise.history.push(entry);
+    if (entry.set_id) {
+      bySet[entry.set_id] = [...(bySet[entry.set_id] || []), entry.type];
+    }
+    byWorkout[entry.workout_id] = [...(byWorkout[entry.workout_id] || []), entry];
+  };
+
+  // Session volume is only known once a workout's sets for the exercise are
+  // all in, so it is settled when the next workout for that exercise starts.
+  const settleVolume = (exerciseId) => {
+    const exercise = byExercise[exerciseId];
+    const session = exercise.session;
+    if (!session || session.volume <= 0) return;
+
+    if (exercise.best.volume !== null && session.volume > exercise.best.volume) {
+      flag(exerciseId, {
+        type: 'volume',
+        value: round(session.volume),
+        exercise_id: exerciseId,
+        workout_id: session.workout_id,
+        set_id: null,
+        date: session.date,
+      });
+    }
+    if (exercise.best.volume === null || session.volume > exercise.best.volume) {
+      exercise.best.volume = session.volume;
+    }
+  };
+
+  sorted.forEach(set => {
+    if (!byExercise[set.exercise_id]) {
+      byExercise[set.exercise_id] = {
+        best: { weight: null, e1rm: null, volume: null, repsByWeight: {} },
+        history: [],
+        session: null,
+        baselineWorkoutId: set.workout_id,
+      };
+    }
+
+    const exercise = byExercise[set.exercise_id];
+    if (exercise.session?.workout_id !== set.workout_id) {
+      settleVolume(set.exercise_id);
+      exercise.session = { workout_id: set.workout_id, date: set.date, volume: 0 };
+    }
+
+    const isBaseline = exercise.baselineWorkoutId === set.workout_id;
+    const weight = set.weight || 0;
+    const e1rm = estimateOneRepMax(set.weight, set.reps, set.rpe);
+    const entry = (type, value) => ({
+      type,
+      value,
+      exercise_id: set.exercise_id,
+      workout_id: set.workout_id,
+      set_id: set.id,
+      date: set.date,
+      reps: set.reps,
+      weight: set.weight,
+      rpe: set.rpe ?? null,
+    });
+
+    if (set.weight && (exercise.best.weight === null || set.weight > exercise.best.weight)) {
+      if (!isBaseline) flag(set.exercise_id, entry('weight', set.weight));
+      exercise.best.weight = set.weight;
+    }
+
+    const bestReps = exercise.best.repsByWeight[weight];
+    if (bestReps === undefined || set.reps > bestReps) {
+      if (!isBaseline && bestReps !== undefined) flag(set.exercise_id, entry('reps', set.reps));
+      exercise.best.repsByWeight[weight] = set.reps;
+    }
+
+    if (e1rm && (exercise.best.e1rm === null || e1rm > exercise.best.e1rm)) {
+      if (!isBaseline) flag(set.exercise_id, entry('e1rm', round(e1rm)));
+      exercise.best.e1rm = e1rm;
+    }
+
+    exercise.session.volume += weight * set.reps;
+  });
+
+  Object.keys(byExercise).forEach(exerciseId => {
+    settleVolume(exerciseId);
+    const { best, history } = byExercise[exerciseId];
+    byExercise[exerciseId] = { best, history: history.reverse() };
+  });
+
+  return { bySet, byWorkout, byExercise };
+};
+
+// The latest performance of an exercise: `session` is its most recent
+// workout other than `excludeWorkoutId` as `{ workout_id, date, sets }`
+// (warm-ups left out, in the order performed), and `lastSet` the most recent
+// set of `setType` in any workout. Either is null when there is none.
+export const getLatestSets = (history, exerciseId, { excludeWorkoutId = null, setType = null } = {}) => {
+  const sets = history
+    .filter(set => set.exercise_id === exerciseId)
+    .sort(compareChronologically);
+
+  const lastSet = [...sets]
+    .reverse()
+    .find(set => !setType || getSetType(set) === setType) || null;
+
+  const previous = countedSets(sets).filter(set => set.workout_id !== excludeWorkoutId);
+  const latest = previous[previous.length - 1];
+  const session = latest
+    ? {
+      workout_id: latest.workout_id,
+      date: latest.date,
+      sets: previous.filter(set => set.workout_id === latest.workout_id),
+    }
+    : null;
+
+  return { session, lastSet };
+};
+
+// Per-workout summary of one exercise's sets, oldest session first. Warm-ups
+// are listed in `sets` but left out of the top weight, e1RM, volume and the
+// `reps`, `duration` (seconds) and `distance` (metres) totals.
+export const summarizeExerciseSessions = (history, exerciseId) => {
+  const sessions = [];
+  const byWorkoutId = {};
+
+  history
+    .filter(set => set.exercise_id === exerciseId)
+    .sort(compareChronologically)
+    .forEach(set => {
+      let session = byWorkoutId[set.workout_id];
+      if (!session) {
+        session = {
+          workout_id: set.workout_id,
+          date: set.date,
+          started_at: set.started_at,
+          sets: [],
+          topWeight: null,
+          e1rm: null,
+          volume: 0,
+          reps: 0,
+          duration: 0,
+          distance: 0,
+        };
+        byWorkoutId[set.workout_id] = session;
+        sessions.push(session);
+      }
+
+      session.sets.push(set);
+      if (isWarmup(set)) return;
+
+      const e1rm = estimateOneRepMax(set.weight, set.reps, set.rpe);
+      if (set.weight && (session.topWeight === null || set.weight > session.topWeight)) {
+        session.topWeight = set.weight;
+      }
+      if (e1rm && (session.e1rm === null || e1rm > session.e1rm)) {
+        session.e1rm = round(e1rm);
+      }
+      session.volume = round(session.volume + (set.weight || 0) * (set.reps || 0));
+      session.reps += set.reps || 0;
+      session.duration += set.duration_seconds || 0;
+      session.distance = round(session.distance + (set.distance_m || 0));
+    });
+
+  return sessions;
+};
@@ -0,0 +1,107 @@
+import {
+  ensureNotificationPermission,
+  scheduleNotificationAt,
+  cancelNotificationsWithPrefix,
+} from './notifications';
+import { addDays, getToday, parseLocalDate } from './dates';
+
+// Reminder notifications use identifiers with this prefix, so rescheduling
+// never touches other notifications such as the rest timer
+const REMINDER_PREFIX = 'reminder-';
+
+// Weekday reminders are scheduled as individual dated notifications this far
+// ahead rather than as repeating triggers, so a day that already has a
+// workout can be left out. Every app start and logged workout reschedules.
+const SCHEDULE_DAYS = 14;
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const INACTIVITY_OPTIONS = [3, 5, 7];
+
+// Stored on the profile as `reminders`, so they survive a reinstall
+export const DEFAULT_REMINDERS = {
+  enabled: false,
+  days: [1, 3, 5],
+  time: '18:00',
+  inactivityDays: 3,
+};
+
+export const resolveReminders = (profile) => ({
+  ...DEFAULT_REMINDERS,
+  ...(profile?.reminders || {}),
+});
+
+export const isValidReminderTime = (time) => /^([01]?\d|2[0-3]):[0-5]\d$/.test(time);
+
+// "Mon, Wed, Fri at 18:00"
+export const describeReminders = (reminders) => {
+  if (!reminders.enabled) return 'Off';
+  if (reminders.days.length === 0) {
+    return reminders.inactivityDays
+      ? `Only after ${reminders.inactivityDays} days without training`
+      : 'No days selected';
+  }
+  const days = reminders.days.length === 7
+    ? 'Every day'
+    : [...reminders.days].sort((a, b) => a - b).map(day => WEEKDAYS[day]).join(', ');
+  return `${days} at ${reminders.time}`;
+};
+
+const atTime = (dateString, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const date = parseLocalDate(dateString);
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+};
+
+const daysBetween = (from, to) =>
+  Math.round((parseLocalDate(to) - parseLocalDate(from)) / (24 * 60 * 60 * 1000));
+
+export const cancelReminders = () => cancelNotificationsWithPrefix(REMINDER_PREFIX);
+
+// Replaces every scheduled reminder. `lastWorkoutDate` places the
+// inactivity nudge, and when it is today, today's reminder is left out.
+export const scheduleReminders = async (reminders, { lastWorkoutDate }) => {
+  await cancelReminders();
+  if (!reminders.enabled) return;
+  if (!(await ensureNotificationPermission())) return;
+
+  const now = Date.now();
+  const today = getToday();
+  const hasWorkoutToday = lastWorkoutDate === today;
+
+  // The nudge fires at reminder time once the gap reaches `inactivityDays`,
+  // or at the next reminder time if that moment has already passed
+  let nudgeDate = null;
+  if (reminders.inactivityDays && lastWorkoutDate) {
+    nudgeDate = addDays(lastWorkoutDate, reminders.inactivityDays);
+    if (nudgeDate < today) nudgeDate = today;
+    if (nudgeDate === today && (hasWorkoutToday || atTime(today, reminders.time) <= now)) {
+      nudgeDate = addDays(today, 1);
+    }
+
+    const idleDays = daysBetween(lastWorkoutDate, nudgeDate);
+    await scheduleNotificationAt({
+      identifier: `${REMINDER_PREFIX}inactive`,
+      title: `You haven't trained in ${idleDays} days`,
+      body: 'A short session today keeps the streak alive.',
+      date: atTime(nudgeDate, reminders.time),
+    });
+  }
+
+  for (let offset = 0; offset < SCHEDULE_DAYS; offset++) {
+    const date = addDays(today, offset);
+    const fireAt = atTime(date, reminders.time);
+
+    if (!reminders.days.includes(fireAt.getDay())) continue;
+    if (fireAt <= now || date === nudgeDate) continue;
+    if (date === today && hasWorkoutToday) continue;
+
+    await scheduleNotificationAt({
+      identifier: `${REMINDER_PREFIX}${date}`,
+      title: 'Time to train',
+      body: 'Your workout is scheduled for today.',
+      date: fireAt,
+    });
+  }
+};
@@ -0,0 +1,31 @@
+import { formatWeight } from './units';
+import { countedSets } from './setTypes';
+
+// Helpers for routine items / workout plans:
+// [{ exercise_id, sets, reps, weight }], where reps is null for AMRAP.
+
+export const formatPlanTarget = (item, unit) => {
+  const reps = item.reps ? item.reps : 'AMRAP';
+  const weight = item.weight ? ` @ ${formatWeight(item.weight, unit)}` : '';
+  return `${item.sets}×${reps}${weight}`;
+};
+
+// Planned vs done for each exercise in a workout's plan, in plan order.
+// Sets are matched to plan items by exercise, in the order they were logged;
+// warm-ups don't tick off planned sets.
+export const getPlanProgress = (plan, sets) => {
+  const doneByExercise = {};
+  countedSets(sets).forEach(set => {
+    doneByExercise[set.exercise_id] = (doneByExercise[set.exercise_id] || 0) + 1;
+  });
+
+  return (plan || []).map(item => {
+    const done = Math.min(item.sets, doneByExercise[item.exercise_id] || 0);
+    doneByExercise[item.exercise_id] = Math.max(0, (doneByExercise[item.exercise_id] || 0) - item.sets);
+    return {
+      ...item,
+      done,
+      remaining: item.sets - done,
+    };
+  });
+};
@@ -0,0 +1,54 @@
+// Every set has a `set_type`; rows logged before set types existed have
+// none and count as working sets. Warm-ups are shown with the workout but
+// left out of volume, rep totals and personal records.
+
+export const SET_TYPES = {
+  warmup: { label: 'Warm-up', short: 'W' },
+  working: { label: 'Working', short: '' },
+  drop: { label: 'Drop Set', short: 'D' },
+  failure: { label: 'Failure', short: 'F' },
+};
+
+export const DEFAULT_SET_TYPE = 'working';
+
+export const getSetType = (set) =>
+  SET_TYPES[set?.set_type] ? set.set_type : DEFAULT_SET_TYPE;
+
+export const isWarmup = (set) => getSetType(set) === 'warmup';
+
+// Sets that count towards volume, reps and records
+export const countedSets = (sets) => sets.filter(set => !isWarmup(set));
+
+// Working sets are numbered 1, 2, 3...; warm-ups are not counted, so the
+// first real set is always "Set 1". Returns `{ [set.id]: number | null }`.
+export const getSetNumbers = (sets) => {
+  let number = 0;
+  return Object.fromEntries(sets.map(set => [set.id, isWarmup(set) ? null : ++number]));
+};
+
+// "Warm-up", "Set 2", "Set 3 · Drop Set"
+export const formatSetLabel = (set, number) => {
+  const type = getSetType(set);
+  if (type === 'warmup') return SET_TYPES.warmup.label;
+  return type === DEFAULT_SET_TYPE
+    ? `Set ${number}`
+    : `Set ${number} · ${SET_TYPES[type].label}`;
+};
+
+// Compact prefix for set chips: "W 10@40kg", "D 8@30kg"
+export const formatSetPrefix = (set) => {
+  const { short } = SET_TYPES[getSetType(set)];
+  return short ? `${short} ` : '';
+};
+
+// Matches a set type written by this app ("Drop Set"), Strong's set order
+// ("W", "D", "F") or Hevy's set_type ("warmup", "dropset"); null otherwise
+export const parseSetType = (value) => {
+  const text = (value || '').trim().toLowerCase().replace(/[\s_-]/g, '');
+  if (!text) return null;
+  if (text === 'w' || text === 'warmup') return 'warmup';
+  if (text === 'd' || text === 'drop' || text === 'dropset') return 'drop';
+  if (text === 'f' || text === 'failure') return 'failure';
+  if (text === 'working' || text === 'normal') return 'working';
+  return null;
+};
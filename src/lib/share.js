@@ -0,0 +1,18 @@
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+
+// Writes the contents to a file in the cache directory and opens the system
+// share sheet for it. See share.web.js for the browser download.
+export const shareFile = async ({ filename, contents, mimeType, uti }) => {
+  const uri = `${FileSystem.cacheDirectory}${filename}`;
+  await FileSystem.writeAsStringAsync(uri, contents, {
+    encoding: FileSystem.EncodingType.UTF8,
+  });
+
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device');
+  }
+
+  await Sharing.shareAsync(uri, { mimeType, UTI: uti, dialogTitle: filename });
+  return uri;
+};
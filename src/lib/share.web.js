@@ -0,0 +1,15 @@
+// Browsers have no share sheet for generated files, so trigger a download
+export const shareFile = async ({ filename, contents, mimeType }) => {
+  const blob = new Blob([contents], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+  return filename;
+};
@@ -0,0 +1,57 @@
+import { addDays } from './dates';
+import { isWarmup } from './setTypes';
+
+// Aggregate training statistics from `workouts` ({ id, date }) and `sets`
+// ({ workout_id, exercise_id, reps, weight, duration_seconds, distance_m,
+// set_type }). Workouts without any sets, such as a session started and
+// abandoned, are not counted. Warm-ups count as sets but not towards reps,
+// volume, time or distance.
+export const computeAccountStats = ({ workouts, sets, exercises }) => {
+  const workoutDates = new Map(workouts.map(workout => [workout.id, workout.date]));
+  const exerciseNames = new Map(exercises.map(exercise => [exercise.id, exercise.name]));
+
+  const trainedWorkouts = new Set();
+  const setsByExercise = {};
+  let totalReps = 0;
+  let totalVolume = 0;
+  let totalDuration = 0;
+  let totalDistance = 0;
+
+  sets.forEach(set => {
+    if (!workoutDates.has(set.workout_id)) return;
+    trainedWorkouts.add(set.workout_id);
+    setsByExercise[set.exercise_id] = (setsByExercise[set.exercise_id] || 0) + 1;
+    if (isWarmup(set)) return;
+    totalReps += set.reps || 0;
+    totalVolume += (set.weight || 0) * (set.reps || 0);
+    totalDuration += set.duration_seconds || 0;
+    totalDistance += set.distance_m || 0;
+  });
+
+  const days = [...new Set([...trainedWorkouts].map(id => workoutDates.get(id)))].sort();
+
+  let longestStreak = 0;
+  let streak = 0;
+  days.forEach((day, index) => {
+    streak = index > 0 && addDays(days[index - 1], 1) === day ? streak + 1 : 1;
+    longestStreak = Math.max(longestStreak, streak);
+  });
+
+  const [favoriteId, favoriteSets] = Object.entries(setsByExercise)
+    .sort((a, b) => b[1] - a[1])[0] || [];
+
+  return {
+    totalWorkouts: trainedWorkouts.size,
+    activeDays: days.length,
+    totalSets: Object.values(setsByExercise).reduce((sum, count) => sum + count, 0),
+    totalReps,
+    totalVolume: Math.round(totalVolume),
+    totalDuration,
+    totalDistance: Math.round(totalDistance),
+    favoriteExercise: favoriteId
+      ? { id: favoriteId, name: exerciseNames.get(favoriteId) ?? 'Unknown', setCount: favoriteSets }
+      : null,
+    firstWorkoutDate: days[0] ?? null,
+    longestStreak,
+  };
+};
@@ -0,0 +1,71 @@
+// Supersets and circuits link exercises within one workout. They are stored
+// on the workout as `supersets: [{ id, exercise_ids }]`, with `exercise_ids`
+// in the order a round goes through them. An exercise belongs to at most one
+// group per workout.
+
+export const MIN_SUPERSET_SIZE = 2;
+
+// Two exercises make a superset, three or more a circuit
+export const getSupersetLabel = (superset) =>
+  superset.exercise_ids.length > MIN_SUPERSET_SIZE ? 'Circuit' : 'Superset';
+
+export const getSuperset = (workout, exerciseId) =>
+  (workout?.supersets || []).find(superset => superset.exercise_ids.includes(exerciseId)) || null;
+
+// The exercise after `exerciseId` in its round, or null when it ends the round
+export const getNextInRound = (superset, exerciseId) => {
+  const index = superset.exercise_ids.indexOf(exerciseId);
+  return superset.exercise_ids[index + 1] ?? null;
+};
+
+// The exercise to log next: the first one with fewer sets than the one
+// before it, so an unfinished round is picked up where it was left
+export const getRoundStart = (superset, sets) => {
+  const counts = superset.exercise_ids.map(id =>
+    sets.filter(set => set.exercise_id === id).length
+  );
+  const behind = counts.findIndex((count, index) => index > 0 && count < counts[index - 1]);
+  return superset.exercise_ids[behind === -1 ? 0 : behind];
+};
+
+// Groups a workout's sets into blocks in the order they were performed.
+// Exercises in a superset share one block, and each of its sets gets the
+// `round` it belongs to (the Nth set of an exercise is in round N). Linked
+// groups without sets yet are listed at the end so a first round can be
+// started. Returns `[{ key, superset, sets }]`.
+export const groupSetsInOrder = (sets, supersets = []) => {
+  const blocks = [];
+  const blocksByKey = {};
+  const setCounts = {};
+
+  const blockFor = (key, superset) => {
+    if (!blocksByKey[key]) {
+      blocksByKey[key] = { key, superset, sets: [] };
+      blocks.push(blocksByKey[key]);
+    }
+    return blocksByKey[key];
+  };
+
+  [...sets]
+    .sort((a, b) => (a.order_index ?? 0) - (b.order_index ?? 0))
+    .forEach(set => {
+      const superset = supersets.find(group => group.exercise_ids.includes(set.exercise_id));
+      if (!superset) {
+        blockFor(set.exercise_id, null).sets.push(set);
+        return;
+      }
+      setCounts[set.exercise_id] = (setCounts[set.exercise_id] || 0) + 1;
+      blockFor(superset.id, superset).sets.push({ ...set, round: setCounts[set.exercise_id] });
+    });
+
+  supersets.forEach(superset => blockFor(superset.id, superset));
+  return blocks;
+};
+
+// The rest after a round is the longest rest of its exercises
+export const getRoundRestSeconds = (superset, exercises, fallback) => {
+  const rests = superset.exercise_ids
+    .map(id => exercises.find(exercise => exercise.id === id)?.rest_seconds)
+    .filter(seconds => seconds != null);
+  return rests.length > 0 ? Math.max(...rests) : fallback;
+};
@@ -0,0 +1,87 @@
+import { MD3LightTheme, MD3DarkTheme, adaptNavigationTheme } from 'react-native-paper';
+import {
+  DefaultTheme as NavigationLightTheme,
+  DarkTheme as NavigationDarkTheme,
+} from '@react-navigation/native';
+
+export const THEME_MODES = {
+  system: { label: 'Follow system', icon: 'theme-light-dark' },
+  light: { label: 'Light', icon: 'weather-sunny' },
+  dark: { label: 'Dark', icon: 'weather-night' },
+};
+
+export const DEFAULT_THEME_MODE = 'system';
+
+// Paper's MD3 palette plus the few app-specific roles screens need. Screens
+// style themselves from `theme.colors`; no colour literals outside this file.
+export const lightTheme = {
+  ...MD3LightTheme,
+  colors: {
+    ...MD3LightTheme.colors,
+    primary: '#6750A4',
+    primaryContainer: '#EADDFF',
+    secondary: '#625B71',
+    secondaryContainer: '#E8DEF8',
+    inversePrimary: '#D0BCFF',
+    background: '#f5f5f5',
+    surface: '#ffffff',
+    onSurface: '#333333',
+    onSurfaceVariant: '#666666',
+    outlineVariant: '#E0E0E0',
+    error: '#d32f2f',
+    success: '#2e7d32',
+    trophy: '#F9A825',
+    highlight: '#FFF8E1',
+  },
+};
+
+export const darkTheme = {
+  ...MD3DarkTheme,
+  colors: {
+    ...MD3DarkTheme.colors,
+    primary: '#D0BCFF',
+    primaryContainer: '#4F378B',
+    secondary: '#CCC2DC',
+    secondaryContainer: '#4A4458',
+    inversePrimary: '#6750A4',
+    background: '#141218',
+    surface: '#1D1B20',
+    onSurface: '#E6E0E9',
+    onSurfaceVariant: '#CAC4D0',
+    outlineVariant: '#49454F',
+    error: '#F2B8B5',
+    success: '#81C784',
+    trophy: '#FFD54F',
+    highlight: '#3E3522',
+  },
+};
+
+const { LightTheme: adaptedLight, DarkTheme: adaptedDark } = adaptNavigationTheme({
+  reactNavigationLight: NavigationLightTheme,
+  reactNavigationDark: NavigationDarkTheme,
+  materialLight: lightTheme,
+  materialDark: darkTheme,
+});
+
+// adaptNavigationTheme only maps the palette, so keep the navigation fonts
+export const navigationLightTheme = {
+  ...adaptedLight,
+  fonts: NavigationLightTheme.fonts,
+  colors: {
+    ...adaptedLight.colors,
+    background: lightTheme.colors.background,
+    card: lightTheme.colors.surface,
+    border: lightTheme.colors.outlineVariant,
+  },
+};
+
+export const navigationDarkTheme = {
+  ...adaptedDark,
+  fonts: NavigationDarkTheme.fonts,
+  colors: {
+    ...adaptedDark.colors,
+    background: darkTheme.colors.background,
+    card: darkTheme.colors.surface,
+    border: darkTheme.colors.outlineVariant,
+  },
+};
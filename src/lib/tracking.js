@@ -0,0 +1,95 @@
+import { formatElapsed } from './dates';
+
+// What an exercise records per set. Stored on the exercise as
+// `tracking_type`; sets keep `reps`, `weight` (kg), `duration_seconds` and
+// `distance_m`, leaving the fields their exercise doesn't track null.
+export const TRACKING_TYPES = {
+  reps_weight: { label: 'Reps & weight', fields: ['reps', 'weight'], required: ['reps'] },
+  reps: { label: 'Reps only', fields: ['reps'], required: ['reps'] },
+  time: { label: 'Time', fields: ['duration'], required: ['duration'] },
+  distance_time: { label: 'Distance & time', fields: ['distance', 'duration'], required: ['distance'] },
+  weight_distance: { label: 'Weight & distance', fields: ['weight', 'distance'], required: ['distance'] },
+};
+
+export const DEFAULT_TRACKING_TYPE = 'reps_weight';
+
+export const getTrackingType = (exercise) =>
+  TRACKING_TYPES[exercise?.tracking_type] ? exercise.tracking_type : DEFAULT_TRACKING_TYPE;
+
+export const tracksField = (trackingType, field) =>
+  TRACKING_TYPES[trackingType].fields.includes(field);
+
+// Distances are stored in metres. Runs and rides are shown in km or miles,
+// carries in metres or yards, following the user's weight unit.
+export const DISTANCE_UNITS = {
+  km: { metres: 1000, decimals: 2 },
+  mi: { metres: 1609.344, decimals: 2 },
+  m: { metres: 1, decimals: 0 },
+  yd: { metres: 0.9144, decimals: 0 },
+};
+
+export const getDistanceUnit = (trackingType, weightUnit) => {
+  const imperial = weightUnit === 'lb';
+  if (trackingType === 'weight_distance') return imperial ? 'yd' : 'm';
+  return imperial ? 'mi' : 'km';
+};
+
+export const toDisplayDistance = (metres, unit) => {
+  if (metres === null || metres === undefined) return null;
+  const factor = 10 ** DISTANCE_UNITS[unit].decimals;
+  return Math.round((metres / DISTANCE_UNITS[unit].metres) * factor) / factor;
+};
+
+export const fromDisplayDistance = (value, unit) => {
+  if (value === null || value === undefined || Number.isNaN(value)) return null;
+  return Math.round(value * DISTANCE_UNITS[unit].metres * 10) / 10;
+};
+
+// "90", "1:30" and "1:02:30" are all accepted; NaN when unreadable
+export const parseDurationInput = (text) => {
+  const parts = String(text).trim().split(':');
+  if (parts.length > 3 || parts.some(part => !/^\d+$/.test(part))) return NaN;
+  return parts.reduce((total, part) => total * 60 + Number(part), 0);
+};
+
+// 45 -> "0:45", 3725 -> "1:02:05"
+export const formatDurationSeconds = (seconds) => formatElapsed(seconds * 1000);
+
+// Totals across many sets: 2700 -> "45m", 8100 -> "2h 15m"
+export const formatDurationTotal = (seconds) => {
+  const minutes = Math.round(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+};
+
+// One-line description of a set for its exercise's tracking type, e.g.
+// "8 reps @ 60kg", "1:30", "5 km in 25:00" or "40kg × 30 m". `compact`
+// shortens rep sets to "8@60kg" for set chips. `formatWeight` formats
+// stored kilograms for the exercise.
+export const formatSetValues = (
+  set,
+  { trackingType, weightUnit, formatWeight, compact = false }
+) => {
+  const distanceUnit = getDistanceUnit(trackingType, weightUnit);
+  const distance = set.distance_m != null
+    ? `${toDisplayDistance(set.distance_m, distanceUnit)} ${distanceUnit}`
+    : null;
+  const duration = set.duration_seconds != null
+    ? formatDurationSeconds(set.duration_seconds)
+    : null;
+
+  switch (trackingType) {
+    case 'time':
+      return duration ?? '';
+    case 'distance_time':
+      return [distance, duration && `in ${duration}`].filter(Boolean).join(' ');
+    case 'weight_distance':
+      return [set.weight && formatWeight(set.weight), distance].filter(Boolean).join(' × ');
+    case 'reps':
+      return compact ? `${set.reps}` : `${set.reps} reps`;
+    default:
+      return compact
+        ? `${set.reps}${set.weight ? `@${formatWeight(set.weight)}` : ''}`
+        : `${set.reps} reps${set.weight ? ` @ ${formatWeight(set.weight)}` : ''}`;
+  }
+};
@@ -0,0 +1,37 @@
+// Weights are always stored in kilograms. These helpers convert at the
+// edges: when the user types a weight and when one is shown or exported.
+
+// `increment` is the smallest usual jump in load, e.g. a pair of 1.25kg plates
+export const WEIGHT_UNITS = {
+  kg: { label: 'Kilograms (kg)', short: 'kg', increment: 2.5 },
+  lb: { label: 'Pounds (lb)', short: 'lb', increment: 5 },
+};
+
+export const DEFAULT_WEIGHT_UNIT = 'kg';
+
+export const KG_PER_LB = 0.45359237;
+
+const round = (value, decimals) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+// Stored kilograms -> number in `unit`
+export const toDisplayWeight = (kg, unit = DEFAULT_WEIGHT_UNIT) => {
+  if (kg === null || kg === undefined) return null;
+  return unit === 'lb' ? round(kg / KG_PER_LB, 1) : round(kg, 2);
+};
+
+// Number typed in `unit` -> kilograms for storage. Kept at three decimals so
+// pound values round-trip exactly.
+export const fromDisplayWeight = (value, unit = DEFAULT_WEIGHT_UNIT) => {
+  if (value === null || value === undefined || Number.isNaN(value)) return null;
+  return unit === 'lb' ? round(value * KG_PER_LB, 3) : value;
+};
+
+export const formatWeight = (kg, unit = DEFAULT_WEIGHT_UNIT) =>
+  `${toDisplayWeight(kg, unit)}${unit}`;
+
+// An exercise can override the profile unit, e.g. a machine labelled in pounds
+export const resolveWeightUnit = (exercise, profileUnit) =>
+  exercise?.weight_unit || profileUnit || DEFAULT_WEIGHT_UNIT;
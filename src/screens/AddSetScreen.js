@@ -11,37 +11,216 @@ import {
   Divider,
   Snackbar,
   Portal,
-  Dialog
+  Dialog,
+  IconButton,
+  SegmentedButtons,
+  Chip
 } from 'react-native-paper';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { useForm, Controller } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import { z } from 'zod';
 import { useData } from '../contexts/DataContext';
+import { PR_TYPES } from '../lib/records';
+import { WEIGHT_UNITS, fromDisplayWeight, toDisplayWeight } from '../lib/units';
+import { formatRelativeDay } from '../lib/dates';
+import { formatPlanTarget } from '../lib/routines';
+import { SUGGESTION_REASONS } from '../lib/progression';
+import { DEFAULT_SET_TYPE, SET_TYPES, getSetType } from '../lib/setTypes';
+import { EFFORT_SCALES, fromDisplayEffort, getEffortOptions, toDisplayEffort } from '../lib/effort';
+import {
+  DEFAULT_TRACKING_TYPE,
+  TRACKING_TYPES,
+  formatDurationSeconds,
+  fromDisplayDistance,
+  getDistanceUnit,
+  parseDurationInput,
+  toDisplayDistance,
+  tracksField
+} from '../lib/tracking';
+import {
+  getNextInRound,
+  getRoundRestSeconds,
+  getSuperset,
+  getSupersetLabel
+} from '../lib/supersets';
+import { useRestTimer, DEFAULT_REST_SECONDS } from '../contexts/RestTimerContext';
+import { useThemedStyles } from '../contexts/ThemeContext';
 
+const REQUIRED_MESSAGES = {
+  reps: 'Reps required',
+  duration: 'Time required',
+  distance: 'Distance required',
+};
+
+// Which inputs are shown and required follows the exercise's tracking type
 const setSchema = z.object({
-  reps: z.string().min(1, 'Reps required').transform(val => parseInt(val)).refine(val => val > 0 && val <= 999, 'Reps must be 1-999'),
-  weight: z.string().optional().transform(val => val === '' ? null : parseFloat(val)).refine(val => val === null || (val >= 0 && val <= 9999), 'Weight must be 0-9999kg'),
+  tracking_type: z.enum(Object.keys(TRACKING_TYPES)),
+  reps: z.string().optional().transform(val => val ? parseInt(val) : null).refine(val => val === null || (val > 0 && val <= 999), 'Reps must be 1-999'),
+  weight: z.string().optional().transform(val => val ? parseFloat(val) : null).refine(val => val === null || (val >= 0 && val <= 9999), 'Weight must be 0-9999'),
+  // Seconds, typed as "90" or "1:30"
+  duration: z.string().optional().transform(val => val ? parseDurationInput(val) : null).refine(val => val === null || (val > 0 && val <= 86400), 'Enter a time like 1:30'),
+  // In the exercise's distance unit; converted to metres on save
+  distance: z.string().optional().transform(val => val ? parseFloat(val) : null).refine(val => val === null || (val > 0 && val <= 99999), 'Distance must be a positive number'),
+  set_type: z.enum(Object.keys(SET_TYPES)),
+  // In the user's effort scale; converted to RPE on save
+  effort: z.number().nullable(),
+}).superRefine((data, ctx) => {
+  TRACKING_TYPES[data.tracking_type].required.forEach(field => {
+    if (data[field] === null) {
+      ctx.addIssue({ code: 'custom', path: [field], message: REQUIRED_MESSAGES[field] });
+    }
+  });
 });
 
-export default function AddSetScreen({ navigation }) {
+const SET_TYPE_BUTTONS = Object.entries(SET_TYPES).map(([value, { label }]) => ({
+  value,
+  label: label.replace(' Set', ''),
+}));
+
+// "3×8@80kg" when every set matched, otherwise the sets one by one
+const summarizeSets = (sets, formatSet) => {
+  const values = sets.map(set => formatSet(set, { compact: true }));
+  return values.every(value => value === values[0])
+    ? `${values.length}×${values[0]}`
+    : values.join(', ');
+};
+
+export default function AddSetScreen({ navigation, route }) {
+  const styles = useThemedStyles(createStyles);
+  const { editSet, selectedExercise: initialExercise, prefill } = route?.params || {};
+  const isEditing = !!editSet;
+
   const [searchQuery, setSearchQuery] = useState('');
-  const [selectedExercise, setSelectedExercise] = useState(null);
   const [loading, setLoading] = useState(false);
   const [snackbar, setSnackbar] = useState({ visible: false, message: '' });
   const [showCreateDialog, setShowCreateDialog] = useState(false);
   const [newExerciseName, setNewExerciseName] = useState('');
   
-  const { exercises, addSet, createExercise } = useData();
-  
-  const { control, handleSubmit, formState: { errors }, reset, watch } = useForm({
+  const {
+    exercises,
+    activeWorkout,
+    todaySets,
+    addSet,
+    updateSet,
+    createExercise,
+    weightUnit,
+    getWeightUnit,
+    getTrackingType,
+    getLatestSets,
+    getSuggestion,
+    formatSet,
+    effortScale
+  } = useData();
+  const { startRest } = useRestTimer();
+
+  const [selectedExercise, setSelectedExercise] = useState(() => {
+    if (editSet) {
+      return exercises.find(ex => ex.id === editSet.exercise_id)
+        || { id: editSet.exercise_id, name: editSet.exercise?.name || 'Unknown' };
+    }
+    return initialExercise || null;
+  });
+
+  // Weights are typed in the exercise's unit and stored in kilograms
+  const unit = selectedExercise ? getWeightUnit(selectedExercise.id) : weightUnit;
+
+  // Timed and distance exercises show their own inputs instead of reps
+  const trackingType = selectedExercise
+    ? getTrackingType(selectedExercise.id)
+    : DEFAULT_TRACKING_TYPE;
+  const tracks = (field) => tracksField(trackingType, field);
+  const distanceUnit = getDistanceUnit(trackingType, unit);
+
+  // Form values that repeat a logged set of the exercise, in its units
+  const valuesFromSet = (exerciseId, set, setType = DEFAULT_SET_TYPE) => {
+    const exerciseUnit = getWeightUnit(exerciseId);
+    const exerciseTrackingType = getTrackingType(exerciseId);
+    return {
+      tracking_type: exerciseTrackingType,
+      reps: set?.reps ? String(set.reps) : '',
+      weight: set?.weight != null ? String(toDisplayWeight(set.weight, exerciseUnit)) : '',
+      duration: set?.duration_seconds != null ? formatDurationSeconds(set.duration_seconds) : '',
+      distance: set?.distance_m != null
+        ? String(toDisplayDistance(set.distance_m, getDistanceUnit(exerciseTrackingType, exerciseUnit)))
+        : '',
+      set_type: setType,
+      effort: null,
+    };
+  };
+
+  // New sets start from the most recent set of the same type
+  const lastPerformanceValues = (exerciseId, setType = DEFAULT_SET_TYPE) =>
+    valuesFromSet(exerciseId, getLatestSets(exerciseId, { setType }).lastSet, setType);
+
+  const getDefaultValues = () => {
+    if (editSet) {
+      return {
+        ...valuesFromSet(editSet.exercise_id, editSet, getSetType(editSet)),
+        effort: toDisplayEffort(editSet.rpe ?? null, effortScale),
+      };
+    }
+    if (prefill) {
+      return valuesFromSet(selectedExercise?.id, prefill);
+    }
+    return selectedExercise
+      ? lastPerformanceValues(selectedExercise.id)
+      : valuesFromSet(null, null);
+  };
+
+  const { control, handleSubmit, formState: { errors }, reset, watch, setValue, getValues } = useForm({
     resolver: zodResolver(setSchema),
-    defaultValues: {
-      reps: '',
-      weight: '',
-    },
+    defaultValues: getDefaultValues(),
   });
 
+  useEffect(() => {
+    setValue('tracking_type', trackingType);
+  }, [trackingType]);
+
+  // New sets for a linked exercise are logged as rounds of its superset
+  const superset = selectedExercise && !isEditing
+    ? getSuperset(activeWorkout, selectedExercise.id)
+    : null;
+  const round = superset
+    ? todaySets.filter(set => set.exercise_id === selectedExercise.id).length + 1
+    : null;
+  const getExerciseName = (id) =>
+    exercises.find(exercise => exercise.id === id)?.name || 'Unknown';
+
+  // Moves to another exercise, e.g. the next one of the superset, filled in
+  // from its last set
+  const switchToExercise = (exerciseId, setType = DEFAULT_SET_TYPE) => {
+    setSelectedExercise(exercises.find(ex => ex.id === exerciseId));
+    reset(lastPerformanceValues(exerciseId, setType));
+  };
+
+  // What was done the last time the exercise was trained
+  const latest = selectedExercise && !isEditing
+    ? getLatestSets(selectedExercise.id, { setType: watch('set_type') })
+    : { session: null, lastSet: null };
+  const lastDay = latest.session && formatRelativeDay(latest.session.date);
+  const lastTimeText = latest.session && `Last time: ${summarizeSets(latest.session.sets, formatSet)} ${
+    lastDay === 'today' || lastDay === 'yesterday' ? lastDay : `on ${lastDay}`
+  }`;
+
+  // Progressive overload target for today, from the sessions before it
+  const suggestion = selectedExercise && !isEditing ? getSuggestion(selectedExercise.id) : null;
+  const applySuggestion = () => {
+    setValue('reps', String(suggestion.reps));
+    if (suggestion.weight != null) {
+      setValue('weight', String(toDisplayWeight(suggestion.weight, unit)));
+    }
+  };
+
+  // Adds one usual plate jump to the typed weight, or to the last set's
+  const increment = WEIGHT_UNITS[unit].increment;
+  const bumpWeight = () => {
+    const current = parseFloat(getValues('weight'))
+      || toDisplayWeight(latest.lastSet?.weight, unit)
+      || 0;
+    setValue('weight', String(Math.round((current + increment) * 100) / 100));
+  };
+
   // Auto-focus on reps when exercise is selected
   const repsValue = watch('reps');
 
@@ -63,13 +242,79 @@ export default function AddSetScreen({ navigation }) {
       return;
     }
 
+    // Inputs left over from a previously selected exercise are not saved
+    const values = {
+      reps: tracks('reps') ? data.reps : null,
+      weight: tracks('weight') ? fromDisplayWeight(data.weight, unit) : null,
+      duration_seconds: tracks('duration') ? data.duration : null,
+      distance_m: tracks('distance') ? fromDisplayDistance(data.distance, distanceUnit) : null,
+    };
+
+    if (isEditing) {
+      try {
+        setLoading(true);
+        await updateSet(editSet.id, {
+          exercise_id: selectedExercise.id,
+          ...values,
+          set_type: data.set_type,
+          rpe: fromDisplayEffort(data.effort, effortScale),
+        });
+        navigation.goBack();
+      } catch (error) {
+        showSnackbar('Failed to update set');
+        console.error('Update set error:', error);
+        setLoading(false);
+      }
+      return;
+    }
+
     try {
       setLoading(true);
-      await addSet(selectedExercise.id, data.reps, data.weight);
-      showSnackbar('Set added successfully!');
+      const newSet = await addSet(
+        selectedExercise.id,
+        values.reps,
+        values.weight,
+        {
+          setType: data.set_type,
+          rpe: fromDisplayEffort(data.effort, effortScale),
+          durationSeconds: values.duration_seconds,
+          distanceMeters: values.distance_m,
+        }
+      );
+      const prMessage = newSet.prs.length > 0
+        && `New PR! ${newSet.prs.map(type => PR_TYPES[type].short).join(', ')}`;
+
+      // A superset cycles through its exercises, resting after each round
+      if (superset) {
+        const nextId = getNextInRound(superset, selectedExercise.id);
+        if (!nextId) {
+          startRest(
+            getRoundRestSeconds(superset, exercises, DEFAULT_REST_SECONDS),
+            getSupersetLabel(superset)
+          );
+        }
+        const upNextId = nextId ?? superset.exercise_ids[0];
+        switchToExercise(upNextId, data.set_type);
+        showSnackbar(prMessage || (nextId
+          ? `Next: ${getExerciseName(upNextId)}`
+          : `Round ${round} done!`));
+        return;
+      }
+
+      startRest(selectedExercise.rest_seconds ?? DEFAULT_REST_SECONDS, selectedExercise.name);
+      showSnackbar(prMessage || 'Set added successfully!');
       
       // Reset form but keep exercise selected for quick entry
-      reset({ reps: '', weight: data.weight }); // Keep weight for convenience
+      // Keep weight, distance and set type for convenience
+      reset({
+        tracking_type: data.tracking_type,
+        reps: '',
+        weight: data.weight != null ? String(data.weight) : '',
+        duration: '',
+        distance: data.distance != null ? String(data.distance) : '',
+        set_type: data.set_type,
+        effort: null,
+      });
     } catch (error) {
       showSnackbar('Failed to add set');
       console.error('Add set error:', error);
@@ -95,16 +340,10 @@ export default function AddSetScreen({ navigation }) {
     }
   };
 
-  const handleQuickAdd = () => {
-    if (selectedExercise && repsValue) {
-      handleSubmit(onSubmit)();
-    }
-  };
-
   return (
     <SafeAreaView style={styles.container}>
       <View style={styles.header}>
-        <Title>Add Set</Title>
+        <Title>{isEditing ? 'Edit Set' : 'Add Set'}</Title>
         <Button mode="text" onPress={() => navigation.goBack()}>
           Cancel
         </Button>
@@ -145,8 +384,14 @@ export default function AddSetScreen({ navigation }) {
                     <React.Fragment key={exercise.id}>
                       <List.Item
                         title={exercise.name}
-                        onPress={() => setSelectedExercise(exercise)}
-                        right={props => <List.Icon {...props} icon="chevron-right" />}
+                        onPress={() => switchToExercise(exercise.id)}
+                        right={() => (
+                          <IconButton
+                            icon="information-outline"
+                            onPress={() => navigation.navigate('ExerciseDetail', { exerciseId: exercise.id })}
+                            accessibilityLabel="Exercise details"
+                          />
+                        )}
                       />
                       {index < filteredExercises.length - 1 && <Divider />}
                     </React.Fragment>
@@ -179,47 +424,223 @@ export default function AddSetScreen({ navigation }) {
                 </Button>
               </View>
 
+              {(lastTimeText || suggestion) && (
+                <View style={styles.lastPerformance}>
+                  {lastTimeText && (
+                    <Text style={styles.lastTime}>{lastTimeText}</Text>
+                  )}
+                  {suggestion && (
+                    <Text style={styles.lastTime}>
+                      Suggested: {formatPlanTarget(suggestion, unit)} · {SUGGESTION_REASONS[suggestion.reason].label}
+                    </Text>
+                  )}
+                </View>
+              )}
+
+              {!isEditing && (latest.lastSet || tracks('weight')) && (
+                <View style={styles.quickActions}>
+                  {suggestion && (
+                    <Button
+                      mode="outlined"
+                      icon={SUGGESTION_REASONS[suggestion.reason].icon}
+                      compact
+                      onPress={applySuggestion}
+                      disabled={loading}
+                    >
+                      Use suggestion
+                    </Button>
+                  )}
+                  {latest.lastSet && (
+                    <Button
+                      mode="outlined"
+                      icon="repeat"
+                      compact
+                      onPress={() => onSubmit({
+                        ...valuesFromSet(selectedExercise.id, latest.lastSet, getSetType(latest.lastSet)),
+                        reps: latest.lastSet.reps,
+                        weight: toDisplayWeight(latest.lastSet.weight, unit),
+                        duration: latest.lastSet.duration_seconds,
+                        distance: toDisplayDistance(latest.lastSet.distance_m, distanceUnit),
+                        effort: toDisplayEffort(latest.lastSet.rpe ?? null, effortScale),
+                      })}
+                      disabled={loading}
+                    >
+                      Repeat last set
+                    </Button>
+                  )}
+                  {tracks('weight') && (
+                    <Button mode="outlined" compact onPress={bumpWeight} disabled={loading}>
+                      +{increment}{unit}
+                    </Button>
+                  )}
+                </View>
+              )}
+
+              {superset && (
+                <View style={styles.roundContainer}>
+                  <Text style={styles.roundLabel}>
+                    {getSupersetLabel(superset)} · Round {round}
+                  </Text>
+                  <View style={styles.roundRow}>
+                    {superset.exercise_ids.map(id => (
+                      <Chip
+                        key={id}
+                        compact
+                        mode={id === selectedExercise.id ? 'flat' : 'outlined'}
+                        selected={id === selectedExercise.id}
+                        showSelectedCheck={false}
+                        onPress={() => switchToExercise(id)}
+                      >
+                        {getExerciseName(id)}
+                      </Chip>
+                    ))}
+                  </View>
+                </View>
+              )}
+
+              {tracks('reps') && (
+                <>
+                  <Controller
+                    control={control}
+                    name="reps"
+                    render={({ field: { onChange, onBlur, value } }) => (
+                      <TextInput
+                        label="Reps *"
+                        mode="outlined"
+                        value={value}
+                        onChangeText={onChange}
+                        onBlur={onBlur}
+                        error={!!errors.reps}
+                        keyboardType="numeric"
+                        style={styles.input}
+                        autoFocus
+                      />
+                    )}
+                  />
+                  {errors.reps && (
+                    <Text style={styles.errorText}>{errors.reps.message}</Text>
+                  )}
+                </>
+              )}
+
+              {tracks('distance') && (
+                <>
+                  <Controller
+                    control={control}
+                    name="distance"
+                    render={({ field: { onChange, onBlur, value } }) => (
+                      <TextInput
+                        label={`Distance (${distanceUnit}) *`}
+                        mode="outlined"
+                        value={value}
+                        onChangeText={onChange}
+                        onBlur={onBlur}
+                        error={!!errors.distance}
+                        keyboardType="decimal-pad"
+                        style={styles.input}
+                        right={<TextInput.Affix text={distanceUnit} />}
+                        autoFocus={!tracks('reps')}
+                      />
+                    )}
+                  />
+                  {errors.distance && (
+                    <Text style={styles.errorText}>{errors.distance.message}</Text>
+                  )}
+                </>
+              )}
+
+              {tracks('duration') && (
+                <>
+                  <Controller
+                    control={control}
+                    name="duration"
+                    render={({ field: { onChange, onBlur, value } }) => (
+                      <TextInput
+                        label={trackingType === 'time' ? 'Time *' : 'Time'}
+                        mode="outlined"
+                        value={value}
+                        onChangeText={onChange}
+                        onBlur={onBlur}
+                        error={!!errors.duration}
+                        keyboardType="numbers-and-punctuation"
+                        placeholder="m:ss"
+                        style={styles.input}
+                        autoFocus={trackingType === 'time'}
+                      />
+                    )}
+                  />
+                  {errors.duration && (
+                    <Text style={styles.errorText}>{errors.duration.message}</Text>
+                  )}
+                </>
+              )}
+
+              {tracks('weight') && (
+                <>
+                  <Controller
+                    control={control}
+                    name="weight"
+                    render={({ field: { onChange, onBlur, value } }) => (
+                      <TextInput
+                        label={`Weight (${unit})`}
+                        mode="outlined"
+                        value={value}
+                        onChangeText={onChange}
+                        onBlur={onBlur}
+                        error={!!errors.weight}
+                        keyboardType="decimal-pad"
+                        style={styles.input}
+                        right={<TextInput.Affix text={unit} />}
+                      />
+                    )}
+                  />
+                  {errors.weight && (
+                    <Text style={styles.errorText}>{errors.weight.message}</Text>
+                  )}
+                </>
+              )}
+
               <Controller
                 control={control}
-                name="reps"
-                render={({ field: { onChange, onBlur, value } }) => (
-                  <TextInput
-                    label="Reps *"
-                    mode="outlined"
+                name="set_type"
+                render={({ field: { onChange, value } }) => (
+                  <SegmentedButtons
                     value={value}
-                    onChangeText={onChange}
-                    onBlur={onBlur}
-                    error={!!errors.reps}
-                    keyboardType="numeric"
+                    onValueChange={onChange}
+                    buttons={SET_TYPE_BUTTONS}
+                    density="small"
                     style={styles.input}
-                    autoFocus
                   />
                 )}
               />
-              {errors.reps && (
-                <Text style={styles.errorText}>{errors.reps.message}</Text>
-              )}
 
+              <Text style={styles.effortLabel}>
+                {EFFORT_SCALES[effortScale].short} (optional)
+              </Text>
               <Controller
                 control={control}
-                name="weight"
-                render={({ field: { onChange, onBlur, value } }) => (
-                  <TextInput
-                    label="Weight (kg)"
-                    mode="outlined"
-                    value={value}
-                    onChangeText={onChange}
-                    onBlur={onBlur}
-                    error={!!errors.weight}
-                    keyboardType="decimal-pad"
-                    style={styles.input}
-                    right={<TextInput.Affix text="kg" />}
-                  />
+                name="effort"
+                render={({ field: { onChange, value } }) => (
+                  <ScrollView
+                    horizontal
+                    showsHorizontalScrollIndicator={false}
+                    contentContainerStyle={styles.effortRow}
+                  >
+                    {getEffortOptions(effortScale).map(option => (
+                      <Chip
+                        key={option}
+                        compact
+                        mode={value === option ? 'flat' : 'outlined'}
+                        selected={value === option}
+                        showSelectedCheck={false}
+                        onPress={() => onChange(value === option ? null : option)}
+                      >
+                        {option}
+                      </Chip>
+                    ))}
+                  </ScrollView>
                 )}
               />
-              {errors.weight && (
-                <Text style={styles.errorText}>{errors.weight.message}</Text>
-              )}
 
               <View style={styles.buttonContainer}>
                 <Button
@@ -229,7 +650,7 @@ export default function AddSetScreen({ navigation }) {
                   disabled={loading}
                   style={styles.addButton}
                 >
-                  Add Set
+                  {isEditing ? 'Save Changes' : 'Add Set'}
                 </Button>
                 
                 <Button
@@ -237,11 +658,11 @@ export default function AddSetScreen({ navigation }) {
                   onPress={() => navigation.goBack()}
                   disabled={loading}
                 >
-                  Done
+                  {isEditing ? 'Cancel' : 'Done'}
                 </Button>
               </View>
 
-              {repsValue && (
+              {repsValue && !isEditing && (
                 <Text style={styles.hint}>
                   Tip: Tap "Add Set" or fill weight and tap again for quick entry
                 </Text>
@@ -286,10 +707,10 @@ export default function AddSetScreen({ navigation }) {
   );
 }
 
-const styles = StyleSheet.create({
+const createStyles = (theme) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: '#f5f5f5',
+    backgroundColor: theme.colors.background,
   },
   header: {
     flexDirection: 'row',
@@ -297,7 +718,7 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     paddingHorizontal: 20,
     paddingVertical: 10,
-    backgroundColor: 'white',
+    backgroundColor: theme.colors.surface,
     elevation: 1,
   },
   content: {
@@ -322,7 +743,7 @@ const styles = StyleSheet.create({
   },
   noResultsText: {
     fontSize: 16,
-    color: '#666',
+    color: theme.colors.onSurfaceVariant,
     marginBottom: 16,
   },
   createButton: {
@@ -340,8 +761,46 @@ const styles = StyleSheet.create({
   input: {
     marginBottom: 8,
   },
+  lastPerformance: {
+    gap: 4,
+    marginTop: -12,
+    marginBottom: 12,
+  },
+  lastTime: {
+    fontSize: 14,
+    color: theme.colors.onSurfaceVariant,
+  },
+  quickActions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 16,
+  },
+  roundContainer: {
+    marginTop: -8,
+    marginBottom: 16,
+  },
+  roundLabel: {
+    fontSize: 14,
+    color: theme.colors.onSurfaceVariant,
+  },
+  roundRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginTop: 8,
+  },
+  effortLabel: {
+    fontSize: 14,
+    color: theme.colors.onSurfaceVariant,
+    marginTop: 8,
+  },
+  effortRow: {
+    gap: 6,
+    paddingVertical: 8,
+  },
   errorText: {
-    color: '#d32f2f',
+    color: theme.colors.error,
     fontSize: 12,
     marginBottom: 16,
     marginLeft: 12,
@@ -351,11 +810,11 @@ const styles = StyleSheet.create({
     marginTop: 20,
   },
   addButton: {
-    backgroundColor: '#6750A4',
+    backgroundColor: theme.colors.primary,
   },
   hint: {
     fontSize: 12,
-    color: '#666',
+    color: theme.colors.onSurfaceVariant,
     textAlign: 'center',
     marginTop: 12,
     fontStyle: 'italic',
@@ -15,6 +15,7 @@ import { useForm, Controller } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import { z } from 'zod';
 import { useAuth } from '../contexts/AuthContext';
+import { useThemedStyles } from '../contexts/ThemeContext';
 
 const authSchema = z.object({
   email: z.string().email('Please enter a valid email'),
@@ -22,12 +23,20 @@ const authSchema = z.object({
 });
 
 export default function AuthScreen() {
+  const styles = useThemedStyles(createStyles);
   const [isSignUp, setIsSignUp] = useState(false);
   const [loading, setLoading] = useState(false);
   const [snackbar, setSnackbar] = useState({ visible: false, message: '' });
   const [showForgotPassword, setShowForgotPassword] = useState(false);
   
-  const { signIn, signUp, signInWithGoogle, signInWithApple, resetPassword } = useAuth();
+  const { 
+    signIn, 
+    signUp, 
+    signInWithGoogle, 
+    signInWithApple, 
+    resetPassword,
+    continueAsGuest
+  } = useAuth();
   
   const { control, handleSubmit, formState: { errors }, reset } = useForm({
     resolver: zodResolver(authSchema),
@@ -89,6 +98,16 @@ export default function AuthScreen() {
     }
   };
 
+  const handleContinueAsGuest = async () => {
+    try {
+      setLoading(true);
+      await continueAsGuest();
+    } catch (error) {
+      showSnackbar(error.message || 'Could not start guest mode');
+      setLoading(false);
+    }
+  };
+
   const toggleMode = () => {
     setIsSignUp(!isSignUp);
     setShowForgotPassword(false);
@@ -249,6 +268,19 @@ export default function AuthScreen() {
               </View>
             </Card.Content>
           </Card>
+
+          <View style={styles.guestContainer}>
+            <Button
+              mode="text"
+              onPress={handleContinueAsGuest}
+              disabled={loading}
+            >
+              Continue without account
+            </Button>
+            <Text style={styles.guestHint}>
+              Workouts are kept on this device until you create an account
+            </Text>
+          </View>
         </ScrollView>
       </KeyboardAvoidingView>
 
@@ -263,10 +295,10 @@ export default function AuthScreen() {
   );
 }
 
-const styles = StyleSheet.create({
+const createStyles = (theme) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: '#f5f5f5',
+    backgroundColor: theme.colors.background,
   },
   flex: {
     flex: 1,
@@ -283,13 +315,13 @@ const styles = StyleSheet.create({
   title: {
     fontSize: 32,
     fontWeight: 'bold',
-    color: '#6750A4',
+    color: theme.colors.primary,
   },
   subtitle: {
     fontSize: 16,
     textAlign: 'center',
     marginTop: 8,
-    color: '#666',
+    color: theme.colors.onSurfaceVariant,
   },
   card: {
     elevation: 4,
@@ -303,7 +335,7 @@ const styles = StyleSheet.create({
     marginBottom: 8,
   },
   errorText: {
-    color: '#d32f2f',
+    color: theme.colors.error,
     fontSize: 12,
     marginBottom: 16,
     marginLeft: 12,
@@ -321,10 +353,19 @@ const styles = StyleSheet.create({
   },
   dividerText: {
     marginHorizontal: 16,
-    color: '#666',
+    color: theme.colors.onSurfaceVariant,
   },
   linkContainer: {
     alignItems: 'center',
     marginTop: 16,
   },
+  guestContainer: {
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  guestHint: {
+    fontSize: 12,
+    color: theme.colors.onSurfaceVariant,
+    textAlign: 'center',
+  },
 });
\ No newline at end of file
@@ -0,0 +1,244 @@
+import React, { useState } from 'react';
+import { View, StyleSheet, ScrollView, Alert } from 'react-native';
+import {
+  Text,
+  Card,
+  Title,
+  Button,
+  Snackbar,
+  SegmentedButtons,
+  HelperText
+} from 'react-native-paper';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useAuth } from '../contexts/AuthContext';
+import { useData } from '../contexts/DataContext';
+import { useThemedStyles } from '../contexts/ThemeContext';
+import { pickTextFile } from '../lib/pickFile';
+import { BACKUP_PROFILE_FIELDS, readBackup } from '../lib/backup';
+
+const RESTORE_MODES = [
+  { value: 'merge', label: 'Merge' },
+  { value: 'replace', label: 'Replace' },
+];
+
+export default function BackupScreen({ navigation }) {
+  const styles = useThemedStyles(createStyles);
+  const [backup, setBackup] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [loading, setLoading] = useState(false);
+  const [snackbar, setSnackbar] = useState({ visible: false, message: '' });
+
+  const { profile, updateProfile } = useAuth();
+  const { backupData, restoreData } = useData();
+
+  const showSnackbar = (message) => {
+    setSnackbar({ visible: true, message });
+  };
+
+  const hideSnackbar = () => {
+    setSnackbar({ visible: false, message: '' });
+  };
+
+  const handleBackup = async () => {
+    try {
+      setLoading(true);
+      await backupData(profile);
+      showSnackbar('Backup ready');
+    } catch (error) {
+      showSnackbar(error.message || 'Backup failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePickBackup = async () => {
+    try {
+      const picked = await pickTextFile('application/json');
+      if (!picked) return;
+      setBackup(readBackup(picked.contents));
+    } catch (error) {
+      setBackup(null);
+      showSnackbar(error.message || 'Could not read backup');
+    }
+  };
+
+  const runRestore = async () => {
+    try {
+      setLoading(true);
+      const result = await restoreData(backup, mode);
+      if (mode === 'replace' && backup.profile) {
+        const profileFields = Object.fromEntries(
+          BACKUP_PROFILE_FIELDS
+            .filter(field => backup.profile[field])
+            .map(field => [field, backup.profile[field]])
+        );
+        if (Object.keys(profileFields).length > 0) {
+          await updateProfile(profileFields);
+        }
+      }
+      setBackup(null);
+      showSnackbar(`Restored ${result.workoutCount} workouts and ${result.setCount} sets`);
+    } catch (error) {
+      showSnackbar(error.message || 'Restore failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRestore = () => {
+    if (mode !== 'replace') {
+      runRestore();
+      return;
+    }
+
+    Alert.alert(
+      'Replace All Data',
+      'This deletes every exercise, routine and workout in your account before restoring the backup. This cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Replace', style: 'destructive', onPress: runRestore },
+      ]
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <Title>Backup & Restore</Title>
+        <Button mode="text" onPress={() => navigation.goBack()}>
+          Close
+        </Button>
+      </View>
+
+      <ScrollView style={styles.content}>
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title>Backup</Title>
+            <Text style={styles.description}>
+              Save your profile, exercises (including deleted ones), routines,
+              workouts and sets to a JSON file.
+            </Text>
+            <Button
+              mode="contained"
+              icon="content-save"
+              onPress={handleBackup}
+              loading={loading && !backup}
+              disabled={loading}
+              style={styles.button}
+            >
+              Create Backup
+            </Button>
+          </Card.Content>
+        </Card>
+
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title>Restore</Title>
+            <Text style={styles.description}>
+              Merge a backup into your current data, or replace your data with it.
+            </Text>
+            <Button
+              mode="outlined"
+              icon="file-upload"
+              onPress={handlePickBackup}
+              disabled={loading}
+              style={styles.button}
+            >
+              {backup ? 'Choose Another Backup' : 'Choose Backup File'}
+            </Button>
+
+            {backup && (
+              <View style={styles.summary}>
+                <Text style={styles.summaryText}>
+                  Backup from {new Date(backup.created_at).toLocaleString()}
+                </Text>
+                <Text style={styles.mutedText}>
+                  {backup.exercises.length} exercises · {backup.routines.length} routines ·{' '}
+                  {backup.workouts.length} workouts · {backup.sets.length} sets
+                </Text>
+
+                <SegmentedButtons
+                  value={mode}
+                  onValueChange={setMode}
+                  buttons={RESTORE_MODES}
+                  style={styles.modeButtons}
+                />
+                <HelperText type={mode === 'replace' ? 'error' : 'info'}>
+                  {mode === 'replace'
+                    ? 'Your current exercises, routines and workouts will be deleted.'
+                    : 'Workouts you already have are skipped; exercises and routines are matched by name.'}
+                </HelperText>
+
+                <Button
+                  mode="contained"
+                  onPress={handleRestore}
+                  loading={loading}
+                  disabled={loading}
+                  style={styles.button}
+                >
+                  Restore
+                </Button>
+              </View>
+            )}
+          </Card.Content>
+        </Card>
+      </ScrollView>
+
+      <Snackbar
+        visible={snackbar.visible}
+        onDismiss={hideSnackbar}
+        duration={3000}
+      >
+        {snackbar.message}
+      </Snackbar>
+    </SafeAreaView>
+  );
+}
+
+const createStyles = (theme) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    backgroundColor: theme.colors.surface,
+    elevation: 1,
+  },
+  content: {
+    flex: 1,
+    padding: 20,
+  },
+  card: {
+    marginBottom: 16,
+    elevation: 2,
+  },
+  description: {
+    fontSize: 14,
+    color: theme.colors.onSurface,
+    marginTop: 4,
+  },
+  button: {
+    marginTop: 16,
+  },
+  summary: {
+    marginTop: 20,
+  },
+  summaryText: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: theme.colors.onSurface,
+  },
+  mutedText: {
+    fontSize: 14,
+    color: theme.colors.onSurfaceVariant,
+    marginTop: 4,
+  },
+  modeButtons: {
+    marginTop: 16,
+  },
+});
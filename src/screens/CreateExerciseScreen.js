@@ -18,11 +18,18 @@ import { useForm, Controller } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import { z } from 'zod';
 import { useData } from '../contexts/DataContext';
+import { DEFAULT_REST_SECONDS, REST_OPTIONS, formatRestSeconds } from '../contexts/RestTimerContext';
+import { useThemedStyles } from '../contexts/ThemeContext';
+import { WEIGHT_UNITS } from '../lib/units';
+import { DEFAULT_TRACKING_TYPE, TRACKING_TYPES } from '../lib/tracking';
 
 const exerciseSchema = z.object({
   name: z.string().min(1, 'Exercise name is required').max(100, 'Name too long'),
   category: z.string().optional(),
   notes: z.string().optional().refine(val => !val || val.length <= 500, 'Notes too long'),
+  rest_seconds: z.number().int().min(0).max(600),
+  weight_unit: z.enum(['kg', 'lb']).nullable(),
+  tracking_type: z.enum(Object.keys(TRACKING_TYPES)),
 });
 
 const EXERCISE_CATEGORIES = [
@@ -46,19 +53,22 @@ const POPULAR_EXERCISES = [
   { name: 'Overhead Press', category: 'Shoulders' },
   { name: 'Rows', category: 'Back' },
   { name: 'Lunges', category: 'Legs' },
-  { name: 'Plank', category: 'Core' },
+  { name: 'Plank', category: 'Core', tracking_type: 'time' },
   { name: 'Dips', category: 'Arms' },
   { name: 'Burpees', category: 'Full Body' },
-  { name: 'Mountain Climbers', category: 'Cardio' }
+  { name: 'Mountain Climbers', category: 'Cardio', tracking_type: 'time' },
+  { name: 'Running', category: 'Cardio', tracking_type: 'distance_time' },
+  { name: "Farmer's Carry", category: 'Full Body', tracking_type: 'weight_distance' }
 ];
 
 export default function CreateExerciseScreen({ navigation, route }) {
+  const styles = useThemedStyles(createStyles);
   const [loading, setLoading] = useState(false);
   const [snackbar, setSnackbar] = useState({ visible: false, message: '' });
   const [searchQuery, setSearchQuery] = useState('');
   const [showSuggestions, setShowSuggestions] = useState(true);
   
-  const { createExercise, exercises } = useData();
+  const { createExercise, exercises, weightUnit } = useData();
   const { fromAddSet } = route?.params || {};
   
   const { control, handleSubmit, formState: { errors }, setValue, watch } = useForm({
@@ -67,11 +77,17 @@ export default function CreateExerciseScreen({ navigation, route }) {
       name: '',
       category: '',
       notes: '',
+      rest_seconds: DEFAULT_REST_SECONDS,
+      weight_unit: null,
+      tracking_type: DEFAULT_TRACKING_TYPE,
     },
   });
 
   const watchedName = watch('name');
   const watchedCategory = watch('category');
+  const watchedRest = watch('rest_seconds');
+  const watchedUnit = watch('weight_unit');
+  const watchedTracking = watch('tracking_type');
 
   const showSnackbar = (message) => {
     setSnackbar({ visible: true, message });
@@ -107,6 +123,9 @@ export default function CreateExerciseScreen({ navigation, route }) {
         name: data.name.trim(),
         category: data.category || null,
         notes: data.notes?.trim() || null,
+        rest_seconds: data.rest_seconds,
+        weight_unit: data.weight_unit,
+        tracking_type: data.tracking_type,
       });
       
       showSnackbar('Exercise created successfully!');
@@ -128,6 +147,7 @@ export default function CreateExerciseScreen({ navigation, route }) {
   const handleSuggestionPress = (suggestion) => {
     setValue('name', suggestion.name);
     setValue('category', suggestion.category);
+    setValue('tracking_type', suggestion.tracking_type ?? DEFAULT_TRACKING_TYPE);
     setShowSuggestions(false);
   };
 
@@ -220,6 +240,54 @@ export default function CreateExerciseScreen({ navigation, route }) {
                 ))}
               </View>
 
+              {/* What each set records */}
+              <Text style={styles.sectionTitle}>Track</Text>
+              <View style={styles.categoryContainer}>
+                {Object.entries(TRACKING_TYPES).map(([type, { label }]) => (
+                  <Chip
+                    key={type}
+                    mode={watchedTracking === type ? 'flat' : 'outlined'}
+                    onPress={() => setValue('tracking_type', type)}
+                    style={styles.categoryChip}
+                    selected={watchedTracking === type}
+                  >
+                    {label}
+                  </Chip>
+                ))}
+              </View>
+
+              {/* Default rest between sets */}
+              <Text style={styles.sectionTitle}>Rest Between Sets</Text>
+              <View style={styles.categoryContainer}>
+                {REST_OPTIONS.map((seconds) => (
+                  <Chip
+                    key={seconds}
+                    mode={watchedRest === seconds ? 'flat' : 'outlined'}
+                    onPress={() => setValue('rest_seconds', seconds)}
+                    style={styles.categoryChip}
+                    selected={watchedRest === seconds}
+                  >
+                    {formatRestSeconds(seconds)}
+                  </Chip>
+                ))}
+              </View>
+
+              {/* Unit override, null follows the profile default */}
+              <Text style={styles.sectionTitle}>Weight Unit</Text>
+              <View style={styles.categoryContainer}>
+                {[null, ...Object.keys(WEIGHT_UNITS)].map((unit) => (
+                  <Chip
+                    key={unit ?? 'default'}
+                    mode={watchedUnit === unit ? 'flat' : 'outlined'}
+                    onPress={() => setValue('weight_unit', unit)}
+                    style={styles.categoryChip}
+                    selected={watchedUnit === unit}
+                  >
+                    {unit ? WEIGHT_UNITS[unit].short : `Default (${weightUnit})`}
+                  </Chip>
+                ))}
+              </View>
+
               <Controller
                 control={control}
                 name="notes"
@@ -296,10 +364,10 @@ export default function CreateExerciseScreen({ navigation, route }) {
   );
 }
 
-const styles = StyleSheet.create({
+const createStyles = (theme) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: '#f5f5f5',
+    backgroundColor: theme.colors.background,
   },
   flex: {
     flex: 1,
@@ -310,7 +378,7 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     paddingHorizontal: 20,
     paddingVertical: 10,
-    backgroundColor: 'white',
+    backgroundColor: theme.colors.surface,
     elevation: 1,
   },
   content: {
@@ -329,7 +397,7 @@ const styles = StyleSheet.create({
     fontWeight: '500',
     marginTop: 16,
     marginBottom: 12,
-    color: '#333',
+    color: theme.colors.onSurface,
   },
   categoryContainer: {
     flexDirection: 'row',
@@ -343,7 +411,7 @@ const styles = StyleSheet.create({
   },
   submitButton: {
     marginTop: 20,
-    backgroundColor: '#6750A4',
+    backgroundColor: theme.colors.primary,
   },
   suggestionsCard: {
     marginTop: 8,
@@ -354,7 +422,7 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '500',
     marginBottom: 8,
-    color: '#666',
+    color: theme.colors.onSurfaceVariant,
   },
   popularCard: {
     elevation: 2,
@@ -365,7 +433,7 @@ const styles = StyleSheet.create({
   },
   popularSubtitle: {
     fontSize: 14,
-    color: '#666',
+    color: theme.colors.onSurfaceVariant,
     marginBottom: 16,
   },
 });
\ No newline at end of file
@@ -0,0 +1,382 @@
+import React, { useState } from 'react';
+import { View, StyleSheet, ScrollView } from 'react-native';
+import {
+  Text,
+  TextInput,
+  Button,
+  Card,
+  Title,
+  IconButton,
+  Searchbar,
+  List,
+  Divider,
+  Snackbar,
+  Portal,
+  Dialog,
+  HelperText
+} from 'react-native-paper';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { z } from 'zod';
+import { useData } from '../contexts/DataContext';
+import { useThemedStyles } from '../contexts/ThemeContext';
+import { fromDisplayWeight, toDisplayWeight } from '../lib/units';
+import { formatPlanTarget } from '../lib/routines';
+import { SUGGESTION_REASONS } from '../lib/progression';
+
+const routineItemSchema = z.object({
+  exercise_id: z.string().min(1),
+  sets: z.string().min(1, 'Sets required').transform(val => parseInt(val)).refine(val => val > 0 && val <= 20, 'Sets must be 1-20'),
+  reps: z.string().transform(val => val.trim() === '' ? null : parseInt(val)).refine(val => val === null || (val > 0 && val <= 999), 'Reps must be 1-999 (blank for AMRAP)'),
+  weight: z.string().transform(val => val.trim() === '' ? null : parseFloat(val)).refine(val => val === null || (val >= 0 && val <= 9999), 'Weight must be 0-9999'),
+});
+
+const routineSchema = z.object({
+  name: z.string().trim().min(1, 'Routine name is required').max(100, 'Name too long'),
+  items: z.array(routineItemSchema).min(1, 'Add at least one exercise'),
+});
+
+const toFormItem = (item, unit) => ({
+  exercise_id: item.exercise_id,
+  sets: String(item.sets),
+  reps: item.reps ? String(item.reps) : '',
+  weight: item.weight != null ? String(toDisplayWeight(item.weight, unit)) : '',
+});
+
+export default function EditRoutineScreen({ navigation, route }) {
+  const styles = useThemedStyles(createStyles);
+  const routine = route?.params?.routine;
+  const isEditing = !!routine;
+
+  const { exercises, createRoutine, updateRoutine, getWeightUnit, getSuggestion } = useData();
+
+  const [name, setName] = useState(routine?.name || '');
+  const [items, setItems] = useState(() => routine
+    ? routine.items.map(item => toFormItem(item, getWeightUnit(item.exercise_id)))
+    : []);
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [showPicker, setShowPicker] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [snackbar, setSnackbar] = useState({ visible: false, message: '' });
+
+  const filteredExercises = exercises.filter(exercise =>
+    exercise.name.toLowerCase().includes(searchQuery.toLowerCase())
+  );
+
+  const showSnackbar = (message) => {
+    setSnackbar({ visible: true, message });
+  };
+
+  const hideSnackbar = () => {
+    setSnackbar({ visible: false, message: '' });
+  };
+
+  // New items start from the exercise's progression target when it has one
+  const addItem = (exercise) => {
+    const suggestion = getSuggestion(exercise.id);
+    setItems([...items, suggestion
+      ? toFormItem({ exercise_id: exercise.id, ...suggestion }, getWeightUnit(exercise.id))
+      : { exercise_id: exercise.id, sets: '3', reps: '8', weight: '' }]);
+    setShowPicker(false);
+    setSearchQuery('');
+  };
+
+  const updateItem = (index, field, value) => {
+    setItems(items.map((item, i) => i === index ? { ...item, [field]: value } : item));
+  };
+
+  const applySuggestion = (index, suggestion) => {
+    setItems(items.map((item, i) => i === index
+      ? toFormItem({ ...suggestion, exercise_id: item.exercise_id, sets: item.sets }, getWeightUnit(item.exercise_id))
+      : item));
+  };
+
+  const removeItem = (index) => {
+    setItems(items.filter((_, i) => i !== index));
+  };
+
+  const moveItem = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= items.length) return;
+    const reordered = [...items];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    setItems(reordered);
+  };
+
+  const handleSave = async () => {
+    const result = routineSchema.safeParse({ name, items });
+    if (!result.success) {
+      const fieldErrors = {};
+      result.error.issues.forEach(issue => {
+        const key = issue.path.join('.');
+        if (!fieldErrors[key]) fieldErrors[key] = issue.message;
+      });
+      setErrors(fieldErrors);
+      return;
+    }
+
+    // Planned weights are entered in each exercise's unit but stored in kg
+    const routineData = {
+      ...result.data,
+      items: result.data.items.map(item => ({
+        ...item,
+        weight: fromDisplayWeight(item.weight, getWeightUnit(item.exercise_id)),
+      })),
+    };
+
+    try {
+      setLoading(true);
+      setErrors({});
+      if (isEditing) {
+        await updateRoutine(routine.id, routineData);
+      } else {
+        await createRoutine(routineData);
+      }
+      navigation.goBack();
+    } catch (error) {
+      showSnackbar('Failed to save routine');
+      console.error('Save routine error:', error);
+      setLoading(false);
+    }
+  };
+
+  const getItemError = (index) =>
+    ['sets', 'reps', 'weight']
+      .map(field => errors[`items.${index}.${field}`])
+      .find(Boolean);
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <Title>{isEditing ? 'Edit Routine' : 'New Routine'}</Title>
+        <Button mode="text" onPress={() => navigation.goBack()}>
+          Cancel
+        </Button>
+      </View>
+
+      <ScrollView style={styles.content} keyboardShouldPersistTaps="handled">
+        <Card style={styles.formCard}>
+          <Card.Content>
+            <TextInput
+              label="Routine Name *"
+              mode="outlined"
+              value={name}
+              onChangeText={setName}
+              error={!!errors.name}
+              placeholder="e.g. Push Day"
+              maxLength={100}
+            />
+            {errors.name && <HelperText type="error">{errors.name}</HelperText>}
+
+            <Text style={styles.sectionTitle}>Exercises</Text>
+            {items.length === 0 && (
+              <Text style={styles.emptyText}>
+                Add exercises with their planned sets, reps and weight.
+              </Text>
+            )}
+            {errors.items && <HelperText type="error">{errors.items}</HelperText>}
+
+            {items.map((item, index) => {
+              const suggestion = getSuggestion(item.exercise_id);
+              return (
+                <View key={`${item.exercise_id}-${index}`} style={styles.itemCard}>
+                  <View style={styles.itemHeader}>
+                    <Text style={styles.itemName}>
+                      {exercises.find(ex => ex.id === item.exercise_id)?.name || 'Unknown Exercise'}
+                    </Text>
+                    <IconButton icon="arrow-up" size={18} onPress={() => moveItem(index, -1)} />
+                    <IconButton icon="arrow-down" size={18} onPress={() => moveItem(index, 1)} />
+                    <IconButton icon="close" size={18} onPress={() => removeItem(index)} />
+                  </View>
+                  <View style={styles.itemInputs}>
+                    <TextInput
+                      label="Sets"
+                      mode="outlined"
+                      dense
+                      value={item.sets}
+                      onChangeText={value => updateItem(index, 'sets', value)}
+                      keyboardType="numeric"
+                      style={styles.itemInput}
+                    />
+                    <TextInput
+                      label="Reps"
+                      mode="outlined"
+                      dense
+                      value={item.reps}
+                      onChangeText={value => updateItem(index, 'reps', value)}
+                      keyboardType="numeric"
+                      placeholder="AMRAP"
+                      style={styles.itemInput}
+                    />
+                    <TextInput
+                      label="Weight"
+                      mode="outlined"
+                      dense
+                      value={item.weight}
+                      onChangeText={value => updateItem(index, 'weight', value)}
+                      keyboardType="decimal-pad"
+                      style={styles.itemInput}
+                      right={<TextInput.Affix text={getWeightUnit(item.exercise_id)} />}
+                    />
+                  </View>
+                  {getItemError(index) && (
+                    <HelperText type="error">{getItemError(index)}</HelperText>
+                  )}
+                  {suggestion && (
+                    <View style={styles.suggestionRow}>
+                      <Text style={styles.suggestionText}>
+                        Suggested: {formatPlanTarget(suggestion, getWeightUnit(item.exercise_id))} · {SUGGESTION_REASONS[suggestion.reason].label}
+                      </Text>
+                      <Button mode="text" compact onPress={() => applySuggestion(index, suggestion)}>
+                        Use
+                      </Button>
+                    </View>
+                  )}
+                </View>
+              );
+            })}
+
+            <Button
+              mode="outlined"
+              icon="plus"
+              onPress={() => setShowPicker(true)}
+              style={styles.addButton}
+              disabled={exercises.length === 0}
+            >
+              Add Exercise
+            </Button>
+
+            <Button
+              mode="contained"
+              onPress={handleSave}
+              loading={loading}
+              disabled={loading}
+              style={styles.saveButton}
+            >
+              {isEditing ? 'Save Changes' : 'Create Routine'}
+            </Button>
+          </Card.Content>
+        </Card>
+      </ScrollView>
+
+      <Portal>
+        <Dialog visible={showPicker} onDismiss={() => setShowPicker(false)}>
+          <Dialog.Title>Add Exercise</Dialog.Title>
+          <Dialog.Content>
+            <Searchbar
+              placeholder="Search exercises..."
+              onChangeText={setSearchQuery}
+              value={searchQuery}
+            />
+          </Dialog.Content>
+          <Dialog.ScrollArea style={styles.pickerList}>
+            <ScrollView>
+              {filteredExercises.map((exercise, index) => (
+                <React.Fragment key={exercise.id}>
+                  <List.Item
+                    title={exercise.name}
+                    description={exercise.category}
+                    onPress={() => addItem(exercise)}
+                  />
+                  {index < filteredExercises.length - 1 && <Divider />}
+                </React.Fragment>
+              ))}
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={() => setShowPicker(false)}>Cancel</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
+      <Snackbar
+        visible={snackbar.visible}
+        onDismiss={hideSnackbar}
+        duration={3000}
+      >
+        {snackbar.message}
+      </Snackbar>
+    </SafeAreaView>
+  );
+}
+
+const createStyles = (theme) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    backgroundColor: theme.colors.surface,
+    elevation: 1,
+  },
+  content: {
+    flex: 1,
+    padding: 20,
+  },
+  formCard: {
+    elevation: 2,
+    marginBottom: 40,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '500',
+    marginTop: 20,
+    marginBottom: 12,
+    color: theme.colors.onSurface,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: theme.colors.onSurfaceVariant,
+    marginBottom: 8,
+  },
+  itemCard: {
+    padding: 12,
+    backgroundColor: theme.colors.elevation.level1,
+    borderRadius: 8,
+    marginBottom: 8,
+  },
+  itemHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  itemName: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '500',
+    color: theme.colors.onSurface,
+  },
+  itemInputs: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  itemInput: {
+    flex: 1,
+  },
+  suggestionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 4,
+  },
+  suggestionText: {
+    flex: 1,
+    fontSize: 13,
+    color: theme.colors.onSurfaceVariant,
+  },
+  addButton: {
+    marginTop: 8,
+  },
+  saveButton: {
+    marginTop: 20,
+    backgroundColor: theme.colors.primary,
+  },
+  pickerList: {
+    maxHeight: 320,
+    paddingHorizontal: 0,
+  },
+});
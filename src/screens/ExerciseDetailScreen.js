@@ -0,0 +1,408 @@
+import React from 'react';
+import { View, StyleSheet, ScrollView } from 'react-native';
+import {
+  Text,
+  Card,
+  Title,
+  Button,
+  Chip,
+  Divider,
+  SegmentedButtons
+} from 'react-native-paper';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useData } from '../contexts/DataContext';
+import { useThemedStyles } from '../contexts/ThemeContext';
+import { DEFAULT_REST_SECONDS, REST_OPTIONS, formatRestSeconds } from '../contexts/RestTimerContext';
+import TrendChart from '../components/TrendChart';
+import { summarizeExerciseSessions } from '../lib/records';
+import { parseLocalDate } from '../lib/dates';
+import { fromDisplayWeight, toDisplayWeight } from '../lib/units';
+import { formatSetPrefix, isWarmup } from '../lib/setTypes';
+import { TRACKING_TYPES, getDistanceUnit, toDisplayDistance } from '../lib/tracking';
+import { formatPlanTarget } from '../lib/routines';
+import {
+  INCREMENT_PRESETS,
+  REP_RANGE_PRESETS,
+  SUGGESTION_REASONS,
+  hasProgression
+} from '../lib/progression';
+
+const formatShortDate = (dateString) =>
+  parseLocalDate(dateString).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+  });
+
+const formatDate = (dateString) =>
+  parseLocalDate(dateString).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  });
+
+export default function ExerciseDetailScreen({ navigation, route }) {
+  const styles = useThemedStyles(createStyles);
+  const { exerciseId } = route.params;
+  const {
+    exercises,
+    setHistory,
+    personalRecords,
+    weightUnit,
+    getWeightUnit,
+    formatWeight,
+    formatSet,
+    formatEffort,
+    getTrackingType,
+    getProgressionSettings,
+    getSuggestion,
+    updateExercise
+  } = useData();
+  const unit = getWeightUnit(exerciseId);
+  const trackingType = getTrackingType(exerciseId);
+  const distanceUnit = getDistanceUnit(trackingType, unit);
+
+  const sessions = summarizeExerciseSessions(setHistory, exerciseId);
+  const activeExercise = exercises.find(ex => ex.id === exerciseId);
+  // Archived exercises are no longer in `exercises`, but their sets still
+  // carry the joined name
+  const exercise = activeExercise || {
+    id: exerciseId,
+    name: sessions[0]?.sets[0]?.exercise?.name || 'Unknown Exercise',
+  };
+
+  const handleUnitChange = (value) => {
+    updateExercise(exerciseId, { weight_unit: value === 'default' ? null : value })
+      .catch(error => console.error('Update weight unit error:', error));
+  };
+
+  const handleRestChange = (seconds) => {
+    updateExercise(exerciseId, { rest_seconds: seconds })
+      .catch(error => console.error('Update rest error:', error));
+  };
+
+  // Sets already logged keep their values; only new sets follow the change
+  const handleTrackingChange = (type) => {
+    updateExercise(exerciseId, { tracking_type: type })
+      .catch(error => console.error('Update tracking type error:', error));
+  };
+
+  const progression = getProgressionSettings(exerciseId);
+  const suggestion = getSuggestion(exerciseId);
+
+  const handleProgressionChange = (updates) => {
+    updateExercise(exerciseId, updates)
+      .catch(error => console.error('Update progression error:', error));
+  };
+
+  const toPoints = (field, toValue = kg => toDisplayWeight(kg, unit)) =>
+    sessions.map(session => ({
+      label: formatShortDate(session.date),
+      value: session[field] ? toValue(session[field]) : null,
+    }));
+
+  const topWeightChart = (
+    <TrendChart title="Top weight" points={toPoints('topWeight')} unit={unit} />
+  );
+  const timeChart = (
+    <TrendChart
+      title="Total time"
+      points={toPoints('duration', seconds => Math.round(seconds / 6) / 10)}
+      unit=" min"
+    />
+  );
+  const distanceChart = (
+    <TrendChart
+      title="Distance"
+      points={toPoints('distance', metres => toDisplayDistance(metres, distanceUnit))}
+      unit={` ${distanceUnit}`}
+    />
+  );
+
+  // The trends worth charting follow what the exercise records
+  const charts = {
+    reps_weight: (
+      <>
+        {topWeightChart}
+        <TrendChart title="Estimated 1RM" points={toPoints('e1rm')} unit={unit} />
+        <TrendChart title="Volume" points={toPoints('volume')} unit={unit} />
+      </>
+    ),
+    reps: <TrendChart title="Total reps" points={toPoints('reps', reps => reps)} />,
+    time: timeChart,
+    distance_time: <>{distanceChart}{timeChart}</>,
+    weight_distance: <>{topWeightChart}{distanceChart}</>,
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <Title style={styles.headerTitle} numberOfLines={1}>{exercise.name}</Title>
+        <Button mode="text" onPress={() => navigation.goBack()}>
+          Close
+        </Button>
+      </View>
+
+      <ScrollView style={styles.content}>
+        <Card style={styles.card}>
+          <Card.Content>
+            <View style={styles.metaRow}>
+              {exercise.category ? (
+                <Chip compact style={styles.categoryChip}>{exercise.category}</Chip>
+              ) : (
+                <Text style={styles.mutedText}>No category</Text>
+              )}
+              <Text style={styles.mutedText}>
+                {sessions.length} {sessions.length === 1 ? 'workout' : 'workouts'}
+              </Text>
+            </View>
+            {exercise.notes ? (
+              <Text style={styles.notes}>{exercise.notes}</Text>
+            ) : null}
+            {activeExercise && (
+              <View style={styles.unitRow}>
+                <Text style={styles.mutedText}>Weight unit</Text>
+                <SegmentedButtons
+                  value={activeExercise.weight_unit || 'default'}
+                  onValueChange={handleUnitChange}
+                  buttons={[
+                    { value: 'default', label: `Default (${weightUnit})` },
+                    { value: 'kg', label: 'kg' },
+                    { value: 'lb', label: 'lb' },
+                  ]}
+                  density="small"
+                  style={styles.unitButtons}
+                />
+                <Text style={[styles.mutedText, styles.trackingLabel]}>Track</Text>
+                <View style={styles.trackingRow}>
+                  {Object.entries(TRACKING_TYPES).map(([type, { label }]) => (
+                    <Chip
+                      key={type}
+                      compact
+                      mode={trackingType === type ? 'flat' : 'outlined'}
+                      selected={trackingType === type}
+                      onPress={() => handleTrackingChange(type)}
+                    >
+                      {label}
+                    </Chip>
+                  ))}
+                </View>
+                <Text style={[styles.mutedText, styles.trackingLabel]}>Rest between sets</Text>
+                <View style={styles.trackingRow}>
+                  {REST_OPTIONS.map(seconds => {
+                    const selected = (activeExercise.rest_seconds ?? DEFAULT_REST_SECONDS) === seconds;
+                    return (
+                      <Chip
+                        key={seconds}
+                        compact
+                        mode={selected ? 'flat' : 'outlined'}
+                        selected={selected}
+                        onPress={() => handleRestChange(seconds)}
+                      >
+                        {formatRestSeconds(seconds)}
+                      </Chip>
+                    );
+                  })}
+                </View>
+              </View>
+            )}
+          </Card.Content>
+        </Card>
+
+        {activeExercise && hasProgression(trackingType) && (
+          <Card style={styles.card}>
+            <Card.Content>
+              <Text style={styles.mutedText}>Next session</Text>
+              <Text style={styles.suggestion}>
+                {suggestion
+                  ? `${formatPlanTarget(suggestion, unit)} · ${SUGGESTION_REASONS[suggestion.reason].label}`
+                  : 'Log a working set to get a suggestion'}
+              </Text>
+
+              <Text style={[styles.mutedText, styles.trackingLabel]}>Rep range</Text>
+              <View style={styles.trackingRow}>
+                {REP_RANGE_PRESETS.map(({ min, max }) => {
+                  const selected = progression.repMin === min && progression.repMax === max;
+                  return (
+                    <Chip
+                      key={`${min}-${max}`}
+                      compact
+                      mode={selected ? 'flat' : 'outlined'}
+                      selected={selected}
+                      onPress={() => handleProgressionChange({ rep_min: min, rep_max: max })}
+                    >
+                      {min}–{max}
+                    </Chip>
+                  );
+                })}
+              </View>
+
+              {trackingType === 'reps_weight' && (
+                <>
+                  <Text style={[styles.mutedText, styles.trackingLabel]}>Increment</Text>
+                  <View style={styles.trackingRow}>
+                    {INCREMENT_PRESETS[unit].map(increment => {
+                      const selected = toDisplayWeight(progression.increment, unit) === increment;
+                      return (
+                        <Chip
+                          key={increment}
+                          compact
+                          mode={selected ? 'flat' : 'outlined'}
+                          selected={selected}
+                          onPress={() => handleProgressionChange({
+                            weight_increment: fromDisplayWeight(increment, unit),
+                          })}
+                        >
+                          +{increment}{unit}
+                        </Chip>
+                      );
+                    })}
+                  </View>
+                </>
+              )}
+            </Card.Content>
+          </Card>
+        )}
+
+        <Card style={styles.card}>
+          <Card.Content>
+            {charts[trackingType]}
+          </Card.Content>
+        </Card>
+
+        <Title style={styles.sectionTitle}>History</Title>
+        {sessions.length === 0 ? (
+          <Text style={styles.emptyText}>No sets logged for this exercise yet.</Text>
+        ) : (
+          [...sessions].reverse().map((session) => (
+            <Card key={session.workout_id} style={styles.card}>
+              <Card.Content>
+                <View style={styles.sessionHeader}>
+                  <Text style={styles.sessionDate}>{formatDate(session.date)}</Text>
+                  <Text style={styles.mutedText}>
+                    {session.volume > 0 && formatWeight(session.volume, exerciseId)}
+                  </Text>
+                </View>
+                <Divider style={styles.divider} />
+                <View style={styles.setsRow}>
+                  {session.sets.map((set) => (
+                    <Chip
+                      key={set.id}
+                      mode="outlined"
+                      compact
+                      style={[styles.setChip, isWarmup(set) && styles.warmupChip]}
+                      icon={personalRecords.bySet[set.id] ? 'trophy' : undefined}
+                      onPress={() => navigation.navigate('AddSet', { editSet: set })}
+                    >
+                      {formatSetPrefix(set)}
+                      {formatSet(set, { compact: true })}
+                      {set.rpe != null ? ` · ${formatEffort(set.rpe)}` : ''}
+                    </Chip>
+                  ))}
+                </View>
+              </Card.Content>
+            </Card>
+          ))
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const createStyles = (theme) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    backgroundColor: theme.colors.surface,
+    elevation: 1,
+  },
+  headerTitle: {
+    flex: 1,
+  },
+  content: {
+    flex: 1,
+    padding: 20,
+  },
+  card: {
+    marginBottom: 16,
+    elevation: 2,
+  },
+  metaRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  categoryChip: {
+    backgroundColor: theme.colors.secondaryContainer,
+  },
+  notes: {
+    fontSize: 14,
+    color: theme.colors.onSurface,
+    marginTop: 12,
+  },
+  mutedText: {
+    fontSize: 14,
+    color: theme.colors.onSurfaceVariant,
+  },
+  unitRow: {
+    marginTop: 16,
+  },
+  unitButtons: {
+    marginTop: 8,
+  },
+  suggestion: {
+    fontSize: 18,
+    fontWeight: '500',
+    color: theme.colors.onSurface,
+    marginTop: 4,
+  },
+  trackingLabel: {
+    marginTop: 16,
+  },
+  trackingRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginTop: 8,
+  },
+  sectionTitle: {
+    marginBottom: 12,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: theme.colors.onSurfaceVariant,
+    textAlign: 'center',
+    marginBottom: 40,
+  },
+  sessionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  sessionDate: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: theme.colors.onSurface,
+  },
+  divider: {
+    marginVertical: 8,
+  },
+  setsRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  setChip: {
+    marginBottom: 4,
+  },
+  warmupChip: {
+    opacity: 0.6,
+  },
+});
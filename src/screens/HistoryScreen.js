@@ -15,8 +15,12 @@ import {
   IconButton
 } from 'react-native-paper';
 import { SafeAreaView } from 'react-native-safe-area-context';
-import { useFocusEffect } from '@react-navigation/native';
 import { useData } from '../contexts/DataContext';
+import { useThemedStyles } from '../contexts/ThemeContext';
+import { getToday, addDays, parseLocalDate, formatDuration, getWorkoutDuration } from '../lib/dates';
+import { countedSets, formatSetPrefix, isWarmup } from '../lib/setTypes';
+import { formatDurationTotal, getDistanceUnit, toDisplayDistance } from '../lib/tracking';
+import { getSupersetLabel, groupSetsInOrder } from '../lib/supersets';
 
 const FILTER_OPTIONS = [
   { value: '7', label: 'Last 7 days' },
@@ -26,7 +30,7 @@ const FILTER_OPTIONS = [
 ];
 
 export default function HistoryScreen({ navigation }) {
-  const [workouts, setWorkouts] = useState([]);
+  const styles = useThemedStyles(createStyles);
   const [filteredWorkouts, setFilteredWorkouts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
@@ -34,30 +38,37 @@ export default function HistoryScreen({ navigation }) {
   const [filterDays, setFilterDays] = useState('30');
   const [showFilterMenu, setShowFilterMenu] = useState(false);
   
-  const { getWorkoutHistory, exportData } = useData();
+  const {
+    workoutHistory: workouts,
+    loadWorkoutHistory,
+    exportData,
+    personalRecords,
+    weightUnit,
+    formatWeight,
+    formatSet,
+    formatEffort
+  } = useData();
+  const distanceUnit = getDistanceUnit('distance_time', weightUnit);
 
-  useFocusEffect(
-    useCallback(() => {
-      loadWorkouts();
-    }, [filterDays])
-  );
+  // Edits made elsewhere patch `workoutHistory` in place, so the list only
+  // needs fetching when the range changes or on pull-to-refresh.
+  useEffect(() => {
+    loadWorkouts();
+  }, [filterDays]);
 
   const loadWorkouts = async () => {
     try {
       setLoading(true);
-      const endDate = new Date().toISOString().split('T')[0];
+      const endDate = getToday();
       
       let startDate;
       if (filterDays === 'all') {
         startDate = '2020-01-01'; // Far enough back to get all workouts
       } else {
-        const date = new Date();
-        date.setDate(date.getDate() - parseInt(filterDays));
-        startDate = date.toISOString().split('T')[0];
+        startDate = addDays(endDate, -parseInt(filterDays));
       }
       
-      const workoutData = await getWorkoutHistory(startDate, endDate);
-      setWorkouts(workoutData);
+      const workoutData = await loadWorkoutHistory(startDate, endDate);
       setFilteredWorkouts(workoutData);
     } catch (error) {
       console.error('Error loading workouts:', error);
@@ -90,30 +101,22 @@ export default function HistoryScreen({ navigation }) {
 
   const handleExport = async () => {
     try {
-      const csvData = await exportData();
-      // In a real app, you'd use a library like react-native-fs to save the file
-      // or share it using react-native-share
-      console.log('Export data:', csvData);
-      // For now, just show an alert or snackbar
-      alert('Export feature coming soon!');
+      await exportData();
     } catch (error) {
       console.error('Export error:', error);
-      alert('Export failed');
+      alert(error.message || 'Export failed');
     }
   };
 
   const formatDate = (dateString) => {
-    const date = new Date(dateString);
-    const today = new Date();
-    const yesterday = new Date();
-    yesterday.setDate(today.getDate() - 1);
+    const today = getToday();
 
-    if (date.toDateString() === today.toDateString()) {
+    if (dateString === today) {
       return 'Today';
-    } else if (date.toDateString() === yesterday.toDateString()) {
+    } else if (dateString === addDays(today, -1)) {
       return 'Yesterday';
     } else {
-      return date.toLocaleDateString('en-US', { 
+      return parseLocalDate(dateString).toLocaleDateString('en-US', { 
         weekday: 'short',
         month: 'short', 
         day: 'numeric' 
@@ -124,25 +127,52 @@ export default function HistoryScreen({ navigation }) {
   const getWorkoutStats = (workout) => {
     const totalSets = workout.sets.length;
     const exerciseCount = new Set(workout.sets.map(set => set.exercise_id)).size;
-    const totalReps = workout.sets.reduce((sum, set) => sum + set.reps, 0);
-    const totalWeight = workout.sets.reduce((sum, set) => 
-      sum + (set.weight ? set.weight * set.reps : 0), 0
+    // Warm-ups don't count towards reps, volume, time or distance
+    const workingSets = countedSets(workout.sets);
+    const totalReps = workingSets.reduce((sum, set) => sum + (set.reps || 0), 0);
+    const totalWeight = workingSets.reduce((sum, set) => 
+      sum + (set.weight ? set.weight * (set.reps || 0) : 0), 0
     );
+    const totalDuration = workingSets.reduce((sum, set) => sum + (set.duration_seconds || 0), 0);
+    const totalDistance = workingSets.reduce((sum, set) => sum + (set.distance_m || 0), 0);
     
-    return { totalSets, exerciseCount, totalReps, totalWeight };
+    const duration = workout.ended_at ? getWorkoutDuration(workout) : null;
+    
+    return {
+      totalSets,
+      exerciseCount,
+      totalReps,
+      totalWeight,
+      totalDuration,
+      totalDistance,
+      duration,
+    };
   };
 
-  // Group sets by exercise for display
-  const groupSetsByExercise = (sets) => {
-    return sets.reduce((groups, set) => {
-      const exerciseName = set.exercise?.name || 'Unknown Exercise';
-      if (!groups[exerciseName]) {
-        groups[exerciseName] = [];
-      }
-      groups[exerciseName].push(set);
-      return groups;
-    }, {});
-  };
+  // Blocks in the order they were done; supersets linked but never
+  // started are left out
+  const groupWorkoutSets = (workout) =>
+    groupSetsInOrder(workout.sets, workout.supersets)
+      .filter(block => block.sets.length > 0);
+
+  const getExerciseName = (sets, exerciseId) =>
+    sets.find(set => set.exercise_id === exerciseId)?.exercise?.name || 'Unknown Exercise';
+
+  const renderSetChip = (set, label = '') => (
+    <Chip 
+      key={set.id}
+      mode="outlined" 
+      compact
+      style={[styles.setChip, isWarmup(set) && styles.warmupChip]}
+      icon={personalRecords.bySet[set.id] ? 'trophy' : undefined}
+      onPress={() => navigation.navigate('AddSet', { editSet: set })}
+    >
+      {label}
+      {formatSetPrefix(set)}
+      {formatSet(set, { compact: true })}
+      {set.rpe != null ? ` · ${formatEffort(set.rpe)}` : ''}
+    </Chip>
+  );
 
   const selectedFilter = FILTER_OPTIONS.find(option => option.value === filterDays);
 
@@ -161,28 +191,34 @@ export default function HistoryScreen({ navigation }) {
     <SafeAreaView style={styles.container}>
       <View style={styles.header}>
         <Title>Workout History</Title>
-        <Menu
-          visible={showFilterMenu}
-          onDismiss={() => setShowFilterMenu(false)}
-          anchor={
-            <IconButton
-              icon="filter"
-              onPress={() => setShowFilterMenu(true)}
-            />
-          }
-        >
-          {FILTER_OPTIONS.map((option) => (
-            <Menu.Item
-              key={option.value}
-              onPress={() => {
-                setFilterDays(option.value);
-                setShowFilterMenu(false);
-              }}
-              title={option.label}
-              leadingIcon={filterDays === option.value ? "check" : undefined}
-            />
-          ))}
-        </Menu>
+        <View style={styles.headerActions}>
+          <IconButton
+            icon="trophy"
+            onPress={() => navigation.navigate('PersonalRecords')}
+          />
+          <Menu
+            visible={showFilterMenu}
+            onDismiss={() => setShowFilterMenu(false)}
+            anchor={
+              <IconButton
+                icon="filter"
+                onPress={() => setShowFilterMenu(true)}
+              />
+            }
+          >
+            {FILTER_OPTIONS.map((option) => (
+              <Menu.Item
+                key={option.value}
+                onPress={() => {
+                  setFilterDays(option.value);
+                  setShowFilterMenu(false);
+                }}
+                title={option.label}
+                leadingIcon={filterDays === option.value ? "check" : undefined}
+              />
+            ))}
+          </Menu>
+        </View>
       </View>
 
       <View style={styles.controls}>
@@ -245,7 +281,7 @@ export default function HistoryScreen({ navigation }) {
           <View style={styles.workoutsList}>
             {filteredWorkouts.map((workout) => {
               const stats = getWorkoutStats(workout);
-              const groupedSets = groupSetsByExercise(workout.sets);
+              const blocks = groupWorkoutSets(workout);
               
               return (
                 <Card key={workout.id} style={styles.workoutCard}>
@@ -254,31 +290,73 @@ export default function HistoryScreen({ navigation }) {
                       <View>
                         <Text style={styles.workoutDate}>
                           {formatDate(workout.date)}
+                          {workout.started_at && (
+                            <Text style={styles.workoutTime}>
+                              {'  '}{new Date(workout.started_at).toLocaleTimeString([], {
+                                hour: 'numeric',
+                                minute: '2-digit',
+                              })}
+                            </Text>
+                          )}
                         </Text>
                         <Text style={styles.workoutStats}>
-                          {stats.exerciseCount} exercises • {stats.totalSets} sets • {stats.totalReps} reps
-                          {stats.totalWeight > 0 && ` • ${stats.totalWeight.toFixed(1)}kg`}
+                          {stats.exerciseCount} exercises • {stats.totalSets} sets
+                          {stats.totalReps > 0 && ` • ${stats.totalReps} reps`}
+                          {stats.totalWeight > 0 && ` • ${formatWeight(stats.totalWeight)}`}
+                          {stats.totalDistance > 0 &&
+                            ` • ${toDisplayDistance(stats.totalDistance, distanceUnit)} ${distanceUnit}`}
+                          {stats.totalDuration > 0 && ` • ${formatDurationTotal(stats.totalDuration)} timed`}
+                          {stats.duration !== null && ` • ${formatDuration(stats.duration)}`}
                         </Text>
                       </View>
+                      <View style={styles.headerActions}>
+                        {personalRecords.byWorkout[workout.id] && (
+                          <Chip icon="trophy" compact style={styles.prChip}>
+                            {personalRecords.byWorkout[workout.id].length} PR
+                            {personalRecords.byWorkout[workout.id].length > 1 ? 's' : ''}
+                          </Chip>
+                        )}
+                        {workout.sets.length > 1 && (
+                          <IconButton
+                            icon="swap-vertical"
+                            size={20}
+                            onPress={() => navigation.navigate('ReorderSets', { workoutId: workout.id })}
+                            accessibilityLabel="Reorder sets"
+                          />
+                        )}
+                      </View>
                     </View>
                     
                     <Divider style={styles.divider} />
                     
                     <View style={styles.exercisesList}>
-                      {Object.entries(groupedSets).map(([exerciseName, sets]) => (
-                        <View key={exerciseName} style={styles.exerciseItem}>
-                          <Text style={styles.exerciseName}>{exerciseName}</Text>
+                      {blocks.map(({ key, superset, sets }) => superset ? (
+                        <View key={key} style={[styles.exerciseItem, styles.supersetItem]}>
+                          <Text style={styles.exerciseName}>
+                            {getSupersetLabel(superset)}:{' '}
+                            {superset.exercise_ids
+                              .filter(id => sets.some(set => set.exercise_id === id))
+                              .map(id => getExerciseName(sets, id))
+                              .join(' + ')}
+                          </Text>
+                          {[...new Set(sets.map(set => set.round))].map(round => (
+                            <View key={round} style={[styles.setsRow, styles.roundRow]}>
+                              {sets
+                                .filter(set => set.round === round)
+                                .map(set => renderSetChip(set, `${getExerciseName(sets, set.exercise_id)} `))}
+                            </View>
+                          ))}
+                        </View>
+                      ) : (
+                        <View key={key} style={styles.exerciseItem}>
+                          <Text
+                            style={styles.exerciseName}
+                            onPress={() => navigation.navigate('ExerciseDetail', { exerciseId: key })}
+                          >
+                            {getExerciseName(sets, key)}
+                          </Text>
                           <View style={styles.setsRow}>
-                            {sets.map((set, index) => (
-                              <Chip 
-                                key={set.id}
-                                mode="outlined" 
-                                compact
-                                style={styles.setChip}
-                              >
-                                {set.reps}{set.weight ? `@${set.weight}kg` : ''}
-                              </Chip>
-                            ))}
+                            {sets.map(set => renderSetChip(set))}
                           </View>
                         </View>
                       ))}
@@ -300,10 +378,10 @@ export default function HistoryScreen({ navigation }) {
   );
 }
 
-const styles = StyleSheet.create({
+const createStyles = (theme) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: '#f5f5f5',
+    backgroundColor: theme.colors.background,
   },
   loadingContainer: {
     flex: 1,
@@ -313,7 +391,7 @@ const styles = StyleSheet.create({
   loadingText: {
     marginTop: 16,
     fontSize: 16,
-    color: '#666',
+    color: theme.colors.onSurfaceVariant,
   },
   header: {
     flexDirection: 'row',
@@ -321,12 +399,16 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     paddingHorizontal: 20,
     paddingVertical: 10,
-    backgroundColor: 'white',
+    backgroundColor: theme.colors.surface,
     elevation: 1,
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   controls: {
     padding: 20,
-    backgroundColor: 'white',
+    backgroundColor: theme.colors.surface,
   },
   searchBar: {
     marginBottom: 12,
@@ -348,7 +430,7 @@ const styles = StyleSheet.create({
   emptyText: {
     textAlign: 'center',
     fontSize: 16,
-    color: '#666',
+    color: theme.colors.onSurfaceVariant,
     marginTop: 40,
   },
   workoutsList: {
@@ -364,14 +446,22 @@ const styles = StyleSheet.create({
     alignItems: 'flex-start',
     marginBottom: 12,
   },
+  prChip: {
+    backgroundColor: theme.colors.highlight,
+  },
   workoutDate: {
     fontSize: 18,
     fontWeight: 'bold',
-    color: '#333',
+    color: theme.colors.onSurface,
+  },
+  workoutTime: {
+    fontSize: 14,
+    fontWeight: 'normal',
+    color: theme.colors.onSurfaceVariant,
   },
   workoutStats: {
     fontSize: 12,
-    color: '#666',
+    color: theme.colors.onSurfaceVariant,
     marginTop: 2,
   },
   divider: {
@@ -383,10 +473,18 @@ const styles = StyleSheet.create({
   exerciseItem: {
     marginBottom: 8,
   },
+  supersetItem: {
+    borderLeftWidth: 3,
+    borderLeftColor: theme.colors.primary,
+    paddingLeft: 8,
+  },
+  roundRow: {
+    marginBottom: 4,
+  },
   exerciseName: {
     fontSize: 16,
     fontWeight: '500',
-    color: '#333',
+    color: theme.colors.onSurface,
     marginBottom: 6,
   },
   setsRow: {
@@ -397,15 +495,18 @@ const styles = StyleSheet.create({
   setChip: {
     height: 28,
   },
+  warmupChip: {
+    opacity: 0.6,
+  },
   noteContainer: {
     marginTop: 12,
     paddingTop: 12,
     borderTopWidth: 1,
-    borderTopColor: '#eee',
+    borderTopColor: theme.colors.outlineVariant,
   },
   noteText: {
     fontSize: 14,
-    color: '#666',
+    color: theme.colors.onSurfaceVariant,
     fontStyle: 'italic',
   },
 });
\ No newline at end of file
@@ -0,0 +1,320 @@
+import React, { useState } from 'react';
+import { View, StyleSheet, ScrollView } from 'react-native';
+import {
+  Text,
+  Card,
+  Title,
+  Button,
+  Chip,
+  Divider,
+  Snackbar,
+  SegmentedButtons
+} from 'react-native-paper';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useData } from '../contexts/DataContext';
+import { useThemedStyles } from '../contexts/ThemeContext';
+import { pickTextFile } from '../lib/pickFile';
+import { detectImportFormat, parseImportFile, planImport } from '../lib/importer';
+import { parseLocalDate } from '../lib/dates';
+import { DEFAULT_TRACKING_TYPE, TRACKING_TYPES } from '../lib/tracking';
+
+const PREVIEW_LIMIT = 20;
+
+const formatDate = (dateString) =>
+  parseLocalDate(dateString).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  });
+
+export default function ImportScreen({ navigation }) {
+  const styles = useThemedStyles(createStyles);
+  const { exercises, setHistory, importWorkouts, weightUnit: defaultWeightUnit } = useData();
+
+  const [file, setFile] = useState(null);
+  const [weightUnit, setWeightUnit] = useState(defaultWeightUnit);
+  const [plan, setPlan] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [snackbar, setSnackbar] = useState({ visible: false, message: '' });
+
+  const showSnackbar = (message) => {
+    setSnackbar({ visible: true, message });
+  };
+
+  const hideSnackbar = () => {
+    setSnackbar({ visible: false, message: '' });
+  };
+
+  const buildPlan = (contents, unit) => {
+    const parsed = parseImportFile(contents, { weightUnit: unit });
+    setPlan(planImport(parsed, { exercises, setHistory }));
+  };
+
+  const handlePickFile = async () => {
+    try {
+      const picked = await pickTextFile('text/*');
+      if (!picked) return;
+
+      setFile({ ...picked, format: detectImportFormat(picked.contents) });
+      buildPlan(picked.contents, weightUnit);
+    } catch (error) {
+      setFile(null);
+      setPlan(null);
+      showSnackbar(error.message || 'Could not read file');
+      console.error('Import file error:', error);
+    }
+  };
+
+  const handleUnitChange = (unit) => {
+    setWeightUnit(unit);
+    if (file) buildPlan(file.contents, unit);
+  };
+
+  const handleImport = async () => {
+    try {
+      setLoading(true);
+      const result = await importWorkouts(plan);
+      showSnackbar(`Imported ${result.workoutCount} workouts and ${result.setCount} sets`);
+      setFile(null);
+      setPlan(null);
+    } catch (error) {
+      showSnackbar(error.message || 'Import failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <Title>Import Workouts</Title>
+        <Button mode="text" onPress={() => navigation.goBack()}>
+          Close
+        </Button>
+      </View>
+
+      <ScrollView style={styles.content}>
+        <Card style={styles.card}>
+          <Card.Content>
+            <Text style={styles.description}>
+              Import your history from a Strong or Hevy CSV export, or a file
+              exported from this app. Sets you have already logged are skipped.
+            </Text>
+            <Button
+              mode="outlined"
+              icon="file-upload"
+              onPress={handlePickFile}
+              disabled={loading}
+              style={styles.pickButton}
+            >
+              {file ? 'Choose Another File' : 'Choose CSV File'}
+            </Button>
+          </Card.Content>
+        </Card>
+
+        {file && plan && (
+          <Card style={styles.card}>
+            <Card.Content>
+              <View style={styles.fileRow}>
+                <Text style={styles.fileName} numberOfLines={1}>{file.name}</Text>
+                <Chip compact>{plan.formatLabel}</Chip>
+              </View>
+
+              {file.format?.hasUnitChoice && (
+                <View style={styles.unitRow}>
+                  <Text style={styles.label}>Weights in this file are in</Text>
+                  <SegmentedButtons
+                    value={weightUnit}
+                    onValueChange={handleUnitChange}
+                    buttons={[
+                      { value: 'kg', label: 'kg' },
+                      { value: 'lb', label: 'lb' },
+                    ]}
+                    style={styles.unitButtons}
+                  />
+                </View>
+              )}
+
+              <View style={styles.statsRow}>
+                <View style={styles.statItem}>
+                  <Text style={styles.statNumber}>{plan.workoutCount}</Text>
+                  <Text style={styles.statLabel}>Workouts</Text>
+                </View>
+                <View style={styles.statItem}>
+                  <Text style={styles.statNumber}>{plan.setCount}</Text>
+                  <Text style={styles.statLabel}>Sets</Text>
+                </View>
+                <View style={styles.statItem}>
+                  <Text style={styles.statNumber}>{plan.duplicateSets}</Text>
+                  <Text style={styles.statLabel}>Duplicates</Text>
+                </View>
+              </View>
+
+              {plan.skippedRows > 0 && (
+                <Text style={styles.mutedText}>
+                  {plan.skippedRows} rows without reps, time or distance will be skipped.
+                </Text>
+              )}
+
+              {plan.newExercises.length > 0 && (
+                <>
+                  <Text style={styles.label}>New exercises to create</Text>
+                  <View style={styles.chipRow}>
+                    {plan.newExercises.map(({ name, tracking_type }) => (
+                      <Chip key={name} compact style={styles.exerciseChip}>
+                        {tracking_type === DEFAULT_TRACKING_TYPE
+                          ? name
+                          : `${name} · ${TRACKING_TYPES[tracking_type].label}`}
+                      </Chip>
+                    ))}
+                  </View>
+                </>
+              )}
+
+              <Divider style={styles.divider} />
+
+              {plan.workouts
+                .filter(workout => !workout.duplicate)
+                .slice(-PREVIEW_LIMIT)
+                .reverse()
+                .map((workout, index) => (
+                  <View key={`${workout.date}-${workout.started_at}-${index}`} style={styles.workoutRow}>
+                    <Text style={styles.workoutDate}>{formatDate(workout.date)}</Text>
+                    <Text style={styles.mutedText}>
+                      {workout.sets.filter(set => !set.duplicate).length} sets ·{' '}
+                      {new Set(workout.sets.map(set => set.exercise_name)).size} exercises
+                    </Text>
+                  </View>
+                ))}
+              {plan.workoutCount > PREVIEW_LIMIT && (
+                <Text style={styles.mutedText}>
+                  and {plan.workoutCount - PREVIEW_LIMIT} more
+                </Text>
+              )}
+
+              <Button
+                mode="contained"
+                onPress={handleImport}
+                loading={loading}
+                disabled={loading || plan.setCount === 0}
+                style={styles.importButton}
+              >
+                {plan.setCount === 0 ? 'Nothing New to Import' : 'Import'}
+              </Button>
+            </Card.Content>
+          </Card>
+        )}
+      </ScrollView>
+
+      <Snackbar
+        visible={snackbar.visible}
+        onDismiss={hideSnackbar}
+        duration={3000}
+      >
+        {snackbar.message}
+      </Snackbar>
+    </SafeAreaView>
+  );
+}
+
+const createStyles = (theme) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    backgroundColor: theme.colors.surface,
+    elevation: 1,
+  },
+  content: {
+    flex: 1,
+    padding: 20,
+  },
+  card: {
+    marginBottom: 16,
+    elevation: 2,
+  },
+  description: {
+    fontSize: 14,
+    color: theme.colors.onSurface,
+  },
+  pickButton: {
+    marginTop: 16,
+  },
+  fileRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: 8,
+  },
+  fileName: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '500',
+    color: theme.colors.onSurface,
+  },
+  unitRow: {
+    marginTop: 16,
+  },
+  unitButtons: {
+    marginTop: 8,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: theme.colors.onSurface,
+    marginTop: 12,
+  },
+  statsRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    marginVertical: 16,
+  },
+  statItem: {
+    alignItems: 'center',
+  },
+  statNumber: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: theme.colors.primary,
+  },
+  statLabel: {
+    fontSize: 12,
+    color: theme.colors.onSurfaceVariant,
+    marginTop: 4,
+  },
+  mutedText: {
+    fontSize: 14,
+    color: theme.colors.onSurfaceVariant,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginTop: 8,
+  },
+  exerciseChip: {
+    marginBottom: 4,
+  },
+  divider: {
+    marginVertical: 12,
+  },
+  workoutRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 4,
+  },
+  workoutDate: {
+    fontSize: 14,
+    color: theme.colors.onSurface,
+  },
+  importButton: {
+    marginTop: 20,
+    backgroundColor: theme.colors.primary,
+  },
+});
@@ -0,0 +1,191 @@
+import React from 'react';
+import { View, StyleSheet, ScrollView } from 'react-native';
+import {
+  Text,
+  Card,
+  Title,
+  Button,
+  Chip,
+  Divider
+} from 'react-native-paper';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useData } from '../contexts/DataContext';
+import { useThemedStyles } from '../contexts/ThemeContext';
+import { PR_TYPES } from '../lib/records';
+import { parseLocalDate } from '../lib/dates';
+import { formatWeight } from '../lib/units';
+import { formatEffort } from '../lib/effort';
+
+const HISTORY_LIMIT = 10;
+
+const formatRecord = (entry, unit, effortScale) => {
+  switch (entry.type) {
+    case 'weight':
+      return `${formatWeight(entry.weight, unit)} × ${entry.reps}`;
+    case 'reps':
+      return `${entry.reps} reps${entry.weight ? ` @ ${formatWeight(entry.weight, unit)}` : ''}`;
+    case 'e1rm':
+      return `${formatWeight(entry.value, unit)} (${entry.reps} @ ${formatWeight(entry.weight, unit)}${
+        entry.rpe ? `, ${formatEffort(entry.rpe, effortScale)}` : ''
+      })`;
+    case 'volume':
+      return `${formatWeight(entry.value, unit)} total`;
+    default:
+      return String(entry.value);
+  }
+};
+
+const formatDate = (dateString) =>
+  parseLocalDate(dateString).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  });
+
+export default function PersonalRecordsScreen({ navigation }) {
+  const styles = useThemedStyles(createStyles);
+  const { exercises, personalRecords, getWeightUnit, effortScale } = useData();
+
+  const exercisesWithRecords = exercises.filter(exercise =>
+    personalRecords.byExercise[exercise.id]
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <Title>Personal Records</Title>
+        <Button mode="text" onPress={() => navigation.goBack()}>
+          Close
+        </Button>
+      </View>
+
+      <ScrollView style={styles.content}>
+        {exercisesWithRecords.length === 0 ? (
+          <View style={styles.emptyState}>
+            <Text style={styles.emptyText}>
+              Log a few workouts to start tracking personal records.
+            </Text>
+          </View>
+        ) : (
+          exercisesWithRecords.map((exercise) => {
+            const { best, history } = personalRecords.byExercise[exercise.id];
+            const unit = getWeightUnit(exercise.id);
+
+            return (
+              <Card key={exercise.id} style={styles.exerciseCard}>
+                <Card.Content>
+                  <Title style={styles.exerciseName}>{exercise.name}</Title>
+                  <View style={styles.bestRow}>
+                    {best.weight !== null && (
+                      <Chip compact style={styles.bestChip}>
+                        {PR_TYPES.weight.short}: {formatWeight(best.weight, unit)}
+                      </Chip>
+                    )}
+                    {best.e1rm !== null && (
+                      <Chip compact style={styles.bestChip}>
+                        {PR_TYPES.e1rm.short}: {formatWeight(best.e1rm, unit)}
+                      </Chip>
+                    )}
+                    {best.volume !== null && (
+                      <Chip compact style={styles.bestChip}>
+                        {PR_TYPES.volume.short}: {formatWeight(best.volume, unit)}
+                      </Chip>
+                    )}
+                  </View>
+
+                  <Divider style={styles.divider} />
+
+                  {history.length === 0 ? (
+                    <Text style={styles.mutedText}>
+                      No records broken yet. Your first session is the baseline.
+                    </Text>
+                  ) : (
+                    history.slice(0, HISTORY_LIMIT).map((entry, index) => (
+                      <View key={`${entry.workout_id}-${entry.type}-${index}`} style={styles.recordRow}>
+                        <Text style={styles.recordType}>{PR_TYPES[entry.type].label}</Text>
+                        <Text style={styles.recordValue}>{formatRecord(entry, unit, effortScale)}</Text>
+                        <Text style={styles.recordDate}>{formatDate(entry.date)}</Text>
+                      </View>
+                    ))
+                  )}
+                </Card.Content>
+              </Card>
+            );
+          })
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const createStyles = (theme) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    backgroundColor: theme.colors.surface,
+    elevation: 1,
+  },
+  content: {
+    flex: 1,
+    padding: 20,
+  },
+  emptyState: {
+    paddingVertical: 40,
+    alignItems: 'center',
+  },
+  emptyText: {
+    fontSize: 16,
+    color: theme.colors.onSurfaceVariant,
+    textAlign: 'center',
+  },
+  exerciseCard: {
+    marginBottom: 16,
+    elevation: 2,
+  },
+  exerciseName: {
+    fontSize: 18,
+  },
+  bestRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginTop: 8,
+  },
+  bestChip: {
+    backgroundColor: theme.colors.highlight,
+  },
+  divider: {
+    marginVertical: 12,
+  },
+  mutedText: {
+    fontSize: 14,
+    color: theme.colors.onSurfaceVariant,
+  },
+  recordRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+  recordType: {
+    flex: 1,
+    fontSize: 14,
+    color: theme.colors.onSurface,
+  },
+  recordValue: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: theme.colors.onSurface,
+    marginRight: 8,
+  },
+  recordDate: {
+    fontSize: 12,
+    color: theme.colors.onSurfaceVariant,
+  },
+});
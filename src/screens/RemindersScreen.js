@@ -0,0 +1,246 @@
+import React, { useState } from 'react';
+import { View, StyleSheet, ScrollView } from 'react-native';
+import {
+  Text,
+  Card,
+  Title,
+  Button,
+  Chip,
+  Switch,
+  TextInput,
+  HelperText,
+  SegmentedButtons,
+  Snackbar
+} from 'react-native-paper';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useAuth } from '../contexts/AuthContext';
+import { useThemedStyles } from '../contexts/ThemeContext';
+import { ensureNotificationPermission } from '../lib/notifications';
+import {
+  WEEKDAYS,
+  INACTIVITY_OPTIONS,
+  isValidReminderTime,
+  resolveReminders
+} from '../lib/reminders';
+
+const INACTIVITY_BUTTONS = [
+  { value: 'off', label: 'Off' },
+  ...INACTIVITY_OPTIONS.map(days => ({ value: String(days), label: `${days} days` })),
+];
+
+export default function RemindersScreen({ navigation }) {
+  const styles = useThemedStyles(createStyles);
+  const { profile, updateProfile } = useAuth();
+
+  const [reminders, setReminders] = useState(() => resolveReminders(profile));
+  const [timeError, setTimeError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [snackbar, setSnackbar] = useState({ visible: false, message: '' });
+
+  const showSnackbar = (message) => {
+    setSnackbar({ visible: true, message });
+  };
+
+  const hideSnackbar = () => {
+    setSnackbar({ visible: false, message: '' });
+  };
+
+  const update = (changes) => {
+    setReminders(prev => ({ ...prev, ...changes }));
+  };
+
+  const toggleDay = (day) => {
+    update({
+      days: reminders.days.includes(day)
+        ? reminders.days.filter(d => d !== day)
+        : [...reminders.days, day].sort((a, b) => a - b),
+    });
+  };
+
+  const handleEnabledChange = async (enabled) => {
+    if (enabled && !(await ensureNotificationPermission())) {
+      showSnackbar('Allow notifications in your device settings to get reminders');
+      return;
+    }
+    update({ enabled });
+  };
+
+  const handleSave = async () => {
+    const time = reminders.time.trim();
+    if (!isValidReminderTime(time)) {
+      setTimeError('Enter a 24-hour time like 18:00');
+      return;
+    }
+
+    const [hours, minutes] = time.split(':');
+    try {
+      setLoading(true);
+      setTimeError(null);
+      await updateProfile({
+        reminders: { ...reminders, time: `${hours.padStart(2, '0')}:${minutes}` },
+      });
+      navigation.goBack();
+    } catch (error) {
+      showSnackbar('Failed to save reminders');
+      console.error('Save reminders error:', error);
+      setLoading(false);
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <Title>Workout Reminders</Title>
+        <Button mode="text" onPress={() => navigation.goBack()}>
+          Cancel
+        </Button>
+      </View>
+
+      <ScrollView style={styles.content} keyboardShouldPersistTaps="handled">
+        <Card style={styles.card}>
+          <Card.Content>
+            <View style={styles.switchRow}>
+              <View style={styles.switchText}>
+                <Text style={styles.label}>Reminders</Text>
+                <Text style={styles.mutedText}>
+                  Skipped on days you have already started a workout.
+                </Text>
+              </View>
+              <Switch value={reminders.enabled} onValueChange={handleEnabledChange} />
+            </View>
+          </Card.Content>
+        </Card>
+
+        <Card style={[styles.card, !reminders.enabled && styles.disabledCard]}>
+          <Card.Content>
+            <Text style={styles.label}>Remind me on</Text>
+            <View style={styles.dayRow}>
+              {WEEKDAYS.map((name, day) => (
+                <Chip
+                  key={name}
+                  mode={reminders.days.includes(day) ? 'flat' : 'outlined'}
+                  selected={reminders.days.includes(day)}
+                  onPress={() => toggleDay(day)}
+                  disabled={!reminders.enabled}
+                  compact
+                >
+                  {name}
+                </Chip>
+              ))}
+            </View>
+
+            <TextInput
+              label="Time (24h)"
+              mode="outlined"
+              value={reminders.time}
+              onChangeText={time => update({ time })}
+              keyboardType="numbers-and-punctuation"
+              placeholder="18:00"
+              maxLength={5}
+              disabled={!reminders.enabled}
+              error={!!timeError}
+              style={styles.input}
+            />
+            {timeError && <HelperText type="error">{timeError}</HelperText>}
+
+            <Text style={[styles.label, styles.sectionLabel]}>
+              Nudge me when I haven't trained for
+            </Text>
+            <SegmentedButtons
+              value={reminders.inactivityDays ? String(reminders.inactivityDays) : 'off'}
+              onValueChange={value =>
+                update({ inactivityDays: value === 'off' ? null : Number(value) })
+              }
+              buttons={INACTIVITY_BUTTONS.map(button => ({
+                ...button,
+                disabled: !reminders.enabled,
+              }))}
+              style={styles.segmented}
+            />
+          </Card.Content>
+        </Card>
+
+        <Button
+          mode="contained"
+          onPress={handleSave}
+          loading={loading}
+          disabled={loading}
+          style={styles.saveButton}
+        >
+          Save Reminders
+        </Button>
+      </ScrollView>
+
+      <Snackbar
+        visible={snackbar.visible}
+        onDismiss={hideSnackbar}
+        duration={3000}
+      >
+        {snackbar.message}
+      </Snackbar>
+    </SafeAreaView>
+  );
+}
+
+const createStyles = (theme) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    backgroundColor: theme.colors.surface,
+    elevation: 1,
+  },
+  content: {
+    flex: 1,
+    padding: 20,
+  },
+  card: {
+    marginBottom: 16,
+    elevation: 2,
+  },
+  disabledCard: {
+    opacity: 0.6,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  switchText: {
+    flex: 1,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: theme.colors.onSurface,
+  },
+  sectionLabel: {
+    marginTop: 20,
+  },
+  mutedText: {
+    fontSize: 14,
+    color: theme.colors.onSurfaceVariant,
+    marginTop: 4,
+  },
+  dayRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginTop: 12,
+  },
+  input: {
+    marginTop: 20,
+  },
+  segmented: {
+    marginTop: 12,
+  },
+  saveButton: {
+    marginBottom: 40,
+  },
+});
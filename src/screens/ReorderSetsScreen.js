@@ -0,0 +1,192 @@
+import React, { useState } from 'react';
+import { View, StyleSheet, ScrollView } from 'react-native';
+import {
+  Text,
+  Card,
+  Title,
+  Button,
+  SegmentedButtons,
+  Snackbar
+} from 'react-native-paper';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useData } from '../contexts/DataContext';
+import { useThemedStyles } from '../contexts/ThemeContext';
+import ReorderableList from '../components/ReorderableList';
+import { getSupersetLabel, groupSetsInOrder } from '../lib/supersets';
+import { formatSetPrefix } from '../lib/setTypes';
+
+const MODE_BUTTONS = [
+  { value: 'exercises', label: 'Exercises' },
+  { value: 'sets', label: 'Sets' },
+];
+
+// Reorders the sets of today's or a past workout, either whole exercise
+// blocks (a superset moves as one) or single sets
+export default function ReorderSetsScreen({ navigation, route }) {
+  const styles = useThemedStyles(createStyles);
+  const { workoutId } = route.params;
+  const {
+    todayWorkout,
+    todaySets,
+    workoutHistory,
+    reorderSets,
+    formatSet
+  } = useData();
+
+  const [mode, setMode] = useState('exercises');
+  const [dragging, setDragging] = useState(false);
+  const [snackbar, setSnackbar] = useState({ visible: false, message: '' });
+
+  const workout = todayWorkout?.id === workoutId
+    ? { ...todayWorkout, sets: todaySets }
+    : workoutHistory.find(w => w.id === workoutId);
+  const sets = [...(workout?.sets || [])].sort(
+    (a, b) => (a.order_index ?? 0) - (b.order_index ?? 0)
+  );
+  const blocks = groupSetsInOrder(sets, workout?.supersets)
+    .filter(block => block.sets.length > 0);
+
+  const showSnackbar = (message) => {
+    setSnackbar({ visible: true, message });
+  };
+
+  const hideSnackbar = () => {
+    setSnackbar({ visible: false, message: '' });
+  };
+
+  const exerciseName = (set) => set.exercise?.name || 'Unknown Exercise';
+
+  const saveOrder = async (orderedSets) => {
+    try {
+      await reorderSets(workoutId, orderedSets.map(set => set.id));
+    } catch (error) {
+      showSnackbar('Failed to save the new order');
+      console.error('Reorder sets error:', error);
+    }
+  };
+
+  const renderBlock = ({ superset, sets: blockSets }) => (
+    <>
+      <Text style={styles.rowTitle} numberOfLines={1}>
+        {superset
+          ? `${getSupersetLabel(superset)}: ${[...new Set(blockSets.map(exerciseName))].join(' + ')}`
+          : exerciseName(blockSets[0])}
+      </Text>
+      <Text style={styles.rowSubtitle}>
+        {blockSets.length} {blockSets.length === 1 ? 'set' : 'sets'}
+      </Text>
+    </>
+  );
+
+  const renderSet = (set) => (
+    <>
+      <Text style={styles.rowTitle} numberOfLines={1}>{exerciseName(set)}</Text>
+      <Text style={styles.rowSubtitle} numberOfLines={1}>
+        {formatSetPrefix(set)}{formatSet(set)}
+      </Text>
+    </>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <Title>Reorder Sets</Title>
+        <Button mode="text" onPress={() => navigation.goBack()}>
+          Done
+        </Button>
+      </View>
+
+      <ScrollView style={styles.content} scrollEnabled={!dragging}>
+        <SegmentedButtons
+          value={mode}
+          onValueChange={setMode}
+          buttons={MODE_BUTTONS}
+          style={styles.modeButtons}
+        />
+
+        <Card style={styles.card}>
+          {sets.length === 0 ? (
+            <Card.Content>
+              <Text style={styles.emptyText}>This workout has no sets.</Text>
+            </Card.Content>
+          ) : mode === 'exercises' ? (
+            <ReorderableList
+              items={blocks}
+              keyExtractor={block => block.key}
+              renderItem={renderBlock}
+              onReorder={ordered => saveOrder(ordered.flatMap(block => block.sets))}
+              onDragChange={setDragging}
+            />
+          ) : (
+            <ReorderableList
+              items={sets}
+              keyExtractor={set => set.id}
+              renderItem={renderSet}
+              onReorder={saveOrder}
+              onDragChange={setDragging}
+            />
+          )}
+        </Card>
+
+        <Text style={styles.hint}>
+          Drag the handle on the right to move {mode === 'exercises' ? 'an exercise' : 'a set'}.
+        </Text>
+      </ScrollView>
+
+      <Snackbar
+        visible={snackbar.visible}
+        onDismiss={hideSnackbar}
+        duration={3000}
+      >
+        {snackbar.message}
+      </Snackbar>
+    </SafeAreaView>
+  );
+}
+
+const createStyles = (theme) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    backgroundColor: theme.colors.surface,
+    elevation: 1,
+  },
+  content: {
+    flex: 1,
+    padding: 20,
+  },
+  modeButtons: {
+    marginBottom: 16,
+  },
+  card: {
+    marginBottom: 16,
+    elevation: 2,
+  },
+  rowTitle: {
+    fontSize: 16,
+    color: theme.colors.onSurface,
+  },
+  rowSubtitle: {
+    fontSize: 13,
+    color: theme.colors.onSurfaceVariant,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: theme.colors.onSurfaceVariant,
+    textAlign: 'center',
+  },
+  hint: {
+    fontSize: 12,
+    color: theme.colors.onSurfaceVariant,
+    textAlign: 'center',
+    fontStyle: 'italic',
+    marginBottom: 40,
+  },
+});
@@ -0,0 +1,184 @@
+import React, { useState } from 'react';
+import { View, StyleSheet, ScrollView, Alert } from 'react-native';
+import {
+  Text,
+  Card,
+  Title,
+  Button,
+  FAB,
+  IconButton,
+  Snackbar,
+  useTheme
+} from 'react-native-paper';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useData } from '../contexts/DataContext';
+import { useThemedStyles } from '../contexts/ThemeContext';
+import { formatPlanTarget } from '../lib/routines';
+
+export default function RoutinesScreen({ navigation }) {
+  const theme = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const [snackbar, setSnackbar] = useState({ visible: false, message: '' });
+  const { routines, exercises, startRoutine, deleteRoutine, getWeightUnit } = useData();
+
+  const showSnackbar = (message) => {
+    setSnackbar({ visible: true, message });
+  };
+
+  const hideSnackbar = () => {
+    setSnackbar({ visible: false, message: '' });
+  };
+
+  const handleStart = async (routine) => {
+    try {
+      await startRoutine(routine);
+      navigation.navigate('Main', { screen: 'Today' });
+    } catch (error) {
+      showSnackbar('Failed to start routine');
+    }
+  };
+
+  const handleDelete = (routine) => {
+    Alert.alert(
+      'Delete Routine',
+      `Delete "${routine.name}"? Past workouts are not affected.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteRoutine(routine.id);
+              showSnackbar('Routine deleted');
+            } catch (error) {
+              showSnackbar('Failed to delete routine');
+            }
+          }
+        },
+      ]
+    );
+  };
+
+  const getExerciseName = (exerciseId) =>
+    exercises.find(ex => ex.id === exerciseId)?.name || 'Unknown Exercise';
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <Title>Routines</Title>
+        <Button mode="text" onPress={() => navigation.goBack()}>
+          Close
+        </Button>
+      </View>
+
+      <ScrollView style={styles.content}>
+        {routines.length === 0 ? (
+          <View style={styles.emptyState}>
+            <Text style={styles.emptyText}>
+              No routines yet. Create one to start workouts with a plan.
+            </Text>
+          </View>
+        ) : (
+          routines.map((routine) => (
+            <Card key={routine.id} style={styles.routineCard}>
+              <Card.Content>
+                <View style={styles.routineHeader}>
+                  <Title style={styles.routineName}>{routine.name}</Title>
+                  <IconButton
+                    icon="pencil"
+                    size={20}
+                    onPress={() => navigation.navigate('EditRoutine', { routine })}
+                  />
+                  <IconButton
+                    icon="delete"
+                    size={20}
+                    onPress={() => handleDelete(routine)}
+                  />
+                </View>
+                {routine.items.map((item, index) => (
+                  <Text key={`${item.exercise_id}-${index}`} style={styles.itemText}>
+                    {getExerciseName(item.exercise_id)} · {formatPlanTarget(item, getWeightUnit(item.exercise_id))}
+                  </Text>
+                ))}
+              </Card.Content>
+              <Card.Actions>
+                <Button mode="contained" icon="play" onPress={() => handleStart(routine)}>
+                  Start
+                </Button>
+              </Card.Actions>
+            </Card>
+          ))
+        )}
+      </ScrollView>
+
+      <FAB
+        icon="plus"
+        style={styles.fab}
+        color={theme.colors.onPrimary}
+        onPress={() => navigation.navigate('EditRoutine')}
+        label="New Routine"
+      />
+
+      <Snackbar
+        visible={snackbar.visible}
+        onDismiss={hideSnackbar}
+        duration={3000}
+      >
+        {snackbar.message}
+      </Snackbar>
+    </SafeAreaView>
+  );
+}
+
+const createStyles = (theme) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    backgroundColor: theme.colors.surface,
+    elevation: 1,
+  },
+  content: {
+    flex: 1,
+    padding: 20,
+  },
+  emptyState: {
+    paddingVertical: 40,
+    alignItems: 'center',
+  },
+  emptyText: {
+    fontSize: 16,
+    color: theme.colors.onSurfaceVariant,
+    textAlign: 'center',
+  },
+  routineCard: {
+    marginBottom: 16,
+    elevation: 2,
+  },
+  routineHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  routineName: {
+    flex: 1,
+  },
+  itemText: {
+    fontSize: 14,
+    color: theme.colors.onSurface,
+    marginBottom: 2,
+  },
+  fab: {
+    position: 'absolute',
+    margin: 16,
+    right: 0,
+    bottom: 0,
+    backgroundColor: theme.colors.primary,
+  },
+});
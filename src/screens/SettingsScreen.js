@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useCallback, useState } from 'react';
 import { View, StyleSheet, ScrollView, Alert } from 'react-native';
 import { 
   Text, 
@@ -12,24 +12,67 @@ import {
   Portal,
   TextInput,
   Snackbar,
-  Switch,
-  Paragraph
+  Paragraph,
+  ActivityIndicator,
+  RadioButton,
+  useTheme
 } from 'react-native-paper';
 import { SafeAreaView } from 'react-native-safe-area-context';
+import { useFocusEffect } from '@react-navigation/native';
 import { useAuth } from '../contexts/AuthContext';
 import { useData } from '../contexts/DataContext';
+import { useThemeMode, useThemedStyles } from '../contexts/ThemeContext';
+import { parseLocalDate } from '../lib/dates';
+import { WEIGHT_UNITS, toDisplayWeight } from '../lib/units';
+import { EFFORT_SCALES } from '../lib/effort';
+import { THEME_MODES } from '../lib/theme';
+import { describeReminders, resolveReminders } from '../lib/reminders';
+import { formatDurationTotal, getDistanceUnit, toDisplayDistance } from '../lib/tracking';
+
+// 12345 -> "12.3k"
+const formatVolume = (volume) =>
+  volume >= 10000 ? `${(volume / 1000).toFixed(1)}k` : String(volume);
 
 export default function SettingsScreen({ navigation }) {
+  const theme = useTheme();
+  const styles = useThemedStyles(createStyles);
   const [showProfileDialog, setShowProfileDialog] = useState(false);
   const [showDeleteDialog, setShowDeleteDialog] = useState(false);
+  const [showUnitDialog, setShowUnitDialog] = useState(false);
+  const [showThemeDialog, setShowThemeDialog] = useState(false);
+  const [showEffortDialog, setShowEffortDialog] = useState(false);
+  const [deleteConfirmation, setDeleteConfirmation] = useState('');
   const [displayName, setDisplayName] = useState('');
   const [loading, setLoading] = useState(false);
   const [snackbar, setSnackbar] = useState({ visible: false, message: '' });
-  const [notificationsEnabled, setNotificationsEnabled] = useState(false);
-  const [darkMode, setDarkMode] = useState(false);
   
-  const { user, profile, signOut, updateProfile, deleteAccount } = useAuth();
-  const { syncData, exportData, exercises } = useData();
+  const { 
+    user, 
+    profile, 
+    isGuest, 
+    signOut, 
+    updateProfile, 
+    deleteAccount, 
+    upgradeGuestAccount 
+  } = useAuth();
+  const {
+    syncData,
+    exportData,
+    backupData,
+    exercises,
+    accountStats,
+    loadAccountStats,
+    weightUnit,
+    effortScale
+  } = useData();
+  const { themeMode, setThemeMode } = useThemeMode();
+  const distanceUnit = getDistanceUnit('distance_time', weightUnit);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadAccountStats();
+    }, [])
+  );
 
   const showSnackbar = (message) => {
     setSnackbar({ visible: true, message });
@@ -59,6 +102,14 @@ export default function SettingsScreen({ navigation }) {
     );
   };
 
+  const handleCreateAccount = async () => {
+    try {
+      await upgradeGuestAccount();
+    } catch (error) {
+      showSnackbar('Something went wrong');
+    }
+  };
+
   const handleUpdateProfile = async () => {
     if (!displayName.trim()) {
       showSnackbar('Display name cannot be empty');
@@ -77,6 +128,41 @@ export default function SettingsScreen({ navigation }) {
     }
   };
 
+  const handleUpdateThemeMode = async (mode) => {
+    setShowThemeDialog(false);
+    if (mode === themeMode) return;
+
+    try {
+      await setThemeMode(mode);
+    } catch (error) {
+      showSnackbar('Failed to save theme');
+    }
+  };
+
+  const handleUpdateWeightUnit = async (unit) => {
+    setShowUnitDialog(false);
+    if (unit === weightUnit) return;
+
+    try {
+      await updateProfile({ weight_unit: unit });
+      showSnackbar(`Weights now shown in ${WEIGHT_UNITS[unit].short}`);
+    } catch (error) {
+      showSnackbar('Failed to update weight unit');
+    }
+  };
+
+  const handleUpdateEffortScale = async (scale) => {
+    setShowEffortDialog(false);
+    if (scale === effortScale) return;
+
+    try {
+      await updateProfile({ effort_scale: scale });
+      showSnackbar(`Effort now recorded as ${EFFORT_SCALES[scale].short}`);
+    } catch (error) {
+      showSnackbar('Failed to update effort scale');
+    }
+  };
+
   const handleDeleteAccount = () => {
     Alert.alert(
       'Delete Account',
@@ -86,20 +172,31 @@ export default function SettingsScreen({ navigation }) {
         { 
           text: 'Delete', 
           style: 'destructive',
-          onPress: () => setShowDeleteDialog(true)
+          onPress: () => {
+            setDeleteConfirmation('');
+            setShowDeleteDialog(true);
+          }
         },
       ]
     );
   };
 
+  const handleFinalBackup = async () => {
+    try {
+      await backupData(profile);
+    } catch (error) {
+      showSnackbar(error.message || 'Backup failed');
+    }
+  };
+
+  // On success the app returns to the sign in screen and this screen
+  // unmounts, so state is only reset on failure
   const confirmDeleteAccount = async () => {
     try {
       setLoading(true);
       await deleteAccount();
-      showSnackbar('Account deleted');
     } catch (error) {
       showSnackbar('Failed to delete account');
-    } finally {
       setLoading(false);
       setShowDeleteDialog(false);
     }
@@ -107,13 +204,10 @@ export default function SettingsScreen({ navigation }) {
 
   const handleExportData = async () => {
     try {
-      const csvData = await exportData();
-      // In a real app, you'd use react-native-fs and react-native-share
-      // to save/share the file
-      console.log('Export data ready:', csvData);
-      showSnackbar('Export feature coming soon!');
+      await exportData();
+      showSnackbar('Export ready');
     } catch (error) {
-      showSnackbar('Export failed');
+      showSnackbar(error.message || 'Export failed');
     }
   };
 
@@ -155,7 +249,9 @@ export default function SettingsScreen({ navigation }) {
               />
               <View style={styles.profileInfo}>
                 <Title>{profile?.display_name || 'User'}</Title>
-                <Text style={styles.email}>{user?.email}</Text>
+                <Text style={styles.email}>
+                  {isGuest ? 'Guest · data stored on this device' : user?.email}
+                </Text>
                 <Button 
                   mode="outlined" 
                   onPress={openProfileDialog}
@@ -173,20 +269,70 @@ export default function SettingsScreen({ navigation }) {
         <Card style={styles.statsCard}>
           <Card.Content>
             <Title>Your Stats</Title>
-            <View style={styles.statsRow}>
-              <View style={styles.statItem}>
-                <Text style={styles.statNumber}>{exercises.length}</Text>
-                <Text style={styles.statLabel}>Exercises</Text>
-              </View>
-              <View style={styles.statItem}>
-                <Text style={styles.statNumber}>0</Text>
-                <Text style={styles.statLabel}>Total Workouts</Text>
-              </View>
-              <View style={styles.statItem}>
-                <Text style={styles.statNumber}>0</Text>
-                <Text style={styles.statLabel}>Days Active</Text>
-              </View>
-            </View>
+            {!accountStats ? (
+              <ActivityIndicator style={styles.statsLoading} />
+            ) : (
+              <>
+                <View style={styles.statsRow}>
+                  <View style={styles.statItem}>
+                    <Text style={styles.statNumber}>{accountStats.totalWorkouts}</Text>
+                    <Text style={styles.statLabel}>Total Workouts</Text>
+                  </View>
+                  <View style={styles.statItem}>
+                    <Text style={styles.statNumber}>{accountStats.activeDays}</Text>
+                    <Text style={styles.statLabel}>Days Active</Text>
+                  </View>
+                  <View style={styles.statItem}>
+                    <Text style={styles.statNumber}>{accountStats.longestStreak}</Text>
+                    <Text style={styles.statLabel}>Longest Streak</Text>
+                  </View>
+                </View>
+                <View style={styles.statsRow}>
+                  <View style={styles.statItem}>
+                    <Text style={styles.statNumber}>{accountStats.totalSets}</Text>
+                    <Text style={styles.statLabel}>Sets</Text>
+                  </View>
+                  <View style={styles.statItem}>
+                    <Text style={styles.statNumber}>{accountStats.totalReps}</Text>
+                    <Text style={styles.statLabel}>Reps</Text>
+                  </View>
+                  <View style={styles.statItem}>
+                    <Text style={styles.statNumber}>{formatVolume(Math.round(toDisplayWeight(accountStats.totalVolume, weightUnit)))}</Text>
+                    <Text style={styles.statLabel}>Volume ({weightUnit})</Text>
+                  </View>
+                </View>
+                {(accountStats.totalDuration > 0 || accountStats.totalDistance > 0) && (
+                  <View style={styles.statsRow}>
+                    <View style={styles.statItem}>
+                      <Text style={styles.statNumber}>{formatDurationTotal(accountStats.totalDuration)}</Text>
+                      <Text style={styles.statLabel}>Time</Text>
+                    </View>
+                    <View style={styles.statItem}>
+                      <Text style={styles.statNumber}>
+                        {toDisplayDistance(accountStats.totalDistance, distanceUnit)}
+                      </Text>
+                      <Text style={styles.statLabel}>Distance ({distanceUnit})</Text>
+                    </View>
+                  </View>
+                )}
+                <View style={styles.statsDetails}>
+                  <Text style={styles.statDetail}>
+                    Exercises: {exercises.length}
+                    {accountStats.favoriteExercise &&
+                      ` • Favourite: ${accountStats.favoriteExercise.name}`}
+                  </Text>
+                  {accountStats.firstWorkoutDate && (
+                    <Text style={styles.statDetail}>
+                      Training since {parseLocalDate(accountStats.firstWorkoutDate).toLocaleDateString('en-US', {
+                        month: 'long',
+                        day: 'numeric',
+                        year: 'numeric',
+                      })}
+                    </Text>
+                  )}
+                </View>
+              </>
+            )}
           </Card.Content>
         </Card>
 
@@ -213,11 +359,22 @@ export default function SettingsScreen({ navigation }) {
             
             <Divider />
             
+            <List.Item
+              title="Import Workouts"
+              description="From Strong, Hevy or a CSV export"
+              left={props => <List.Icon {...props} icon="upload" />}
+              right={props => <List.Icon {...props} icon="chevron-right" />}
+              onPress={() => navigation.navigate('Import')}
+            />
+            
+            <Divider />
+            
             <List.Item
               title="Backup & Restore"
-              description="Coming soon"
+              description="Save or restore a full JSON backup"
               left={props => <List.Icon {...props} icon="backup-restore" />}
-              disabled
+              right={props => <List.Icon {...props} icon="chevron-right" />}
+              onPress={() => navigation.navigate('Backup')}
             />
           </Card.Content>
         </Card>
@@ -228,39 +385,41 @@ export default function SettingsScreen({ navigation }) {
             <Title>Preferences</Title>
             
             <List.Item
-              title="Push Notifications"
-              description="Get reminders for workouts"
+              title="Workout Reminders"
+              description={describeReminders(resolveReminders(profile))}
               left={props => <List.Icon {...props} icon="bell" />}
-              right={() => (
-                <Switch
-                  value={notificationsEnabled}
-                  onValueChange={setNotificationsEnabled}
-                />
-              )}
+              right={props => <List.Icon {...props} icon="chevron-right" />}
+              onPress={() => navigation.navigate('Reminders')}
             />
             
             <Divider />
             
             <List.Item
-              title="Dark Mode"
-              description="Switch to dark theme"
-              left={props => <List.Icon {...props} icon="weather-night" />}
-              right={() => (
-                <Switch
-                  value={darkMode}
-                  onValueChange={setDarkMode}
-                />
-              )}
+              title="Theme"
+              description={THEME_MODES[themeMode].label}
+              left={props => <List.Icon {...props} icon={THEME_MODES[themeMode].icon} />}
+              right={props => <List.Icon {...props} icon="chevron-right" />}
+              onPress={() => setShowThemeDialog(true)}
             />
             
             <Divider />
             
             <List.Item
               title="Default Weight Unit"
-              description="Kilograms (kg)"
-              left={props => <List.Icon {...props} icon="weight-kilogram" />}
+              description={WEIGHT_UNITS[weightUnit].label}
+              left={props => <List.Icon {...props} icon={weightUnit === 'lb' ? 'weight-pound' : 'weight-kilogram'} />}
               right={props => <List.Icon {...props} icon="chevron-right" />}
-              onPress={() => showSnackbar('Unit preferences coming soon!')}
+              onPress={() => setShowUnitDialog(true)}
+            />
+            
+            <Divider />
+            
+            <List.Item
+              title="Effort Scale"
+              description={EFFORT_SCALES[effortScale].label}
+              left={props => <List.Icon {...props} icon="gauge" />}
+              right={props => <List.Icon {...props} icon="chevron-right" />}
+              onPress={() => setShowEffortDialog(true)}
             />
           </Card.Content>
         </Card>
@@ -325,12 +484,22 @@ export default function SettingsScreen({ navigation }) {
             
             <Divider />
             
-            <List.Item
-              title="Sign Out"
-              description="Sign out of your account"
-              left={props => <List.Icon {...props} icon="logout" />}
-              onPress={handleSignOut}
-            />
+            {isGuest ? (
+              <List.Item
+                title="Create Account or Sign In"
+                description="Save your guest workouts to an account"
+                left={props => <List.Icon {...props} icon="account-arrow-up" />}
+                right={props => <List.Icon {...props} icon="chevron-right" />}
+                onPress={handleCreateAccount}
+              />
+            ) : (
+              <List.Item
+                title="Sign Out"
+                description="Sign out of your account"
+                left={props => <List.Icon {...props} icon="logout" />}
+                onPress={handleSignOut}
+              />
+            )}
             
             <Divider />
             
@@ -378,6 +547,64 @@ export default function SettingsScreen({ navigation }) {
         </Dialog>
       </Portal>
 
+      {/* Theme Dialog */}
+      <Portal>
+        <Dialog visible={showThemeDialog} onDismiss={() => setShowThemeDialog(false)}>
+          <Dialog.Title>Theme</Dialog.Title>
+          <Dialog.Content>
+            <RadioButton.Group onValueChange={handleUpdateThemeMode} value={themeMode}>
+              {Object.entries(THEME_MODES).map(([mode, { label }]) => (
+                <RadioButton.Item key={mode} label={label} value={mode} />
+              ))}
+            </RadioButton.Group>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setShowThemeDialog(false)}>Cancel</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
+      {/* Weight Unit Dialog */}
+      <Portal>
+        <Dialog visible={showUnitDialog} onDismiss={() => setShowUnitDialog(false)}>
+          <Dialog.Title>Default Weight Unit</Dialog.Title>
+          <Dialog.Content>
+            <RadioButton.Group onValueChange={handleUpdateWeightUnit} value={weightUnit}>
+              {Object.entries(WEIGHT_UNITS).map(([unit, { label }]) => (
+                <RadioButton.Item key={unit} label={label} value={unit} />
+              ))}
+            </RadioButton.Group>
+            <Paragraph style={styles.dialogHint}>
+              Exercises can override this from their detail screen.
+            </Paragraph>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setShowUnitDialog(false)}>Cancel</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
+      {/* Effort Scale Dialog */}
+      <Portal>
+        <Dialog visible={showEffortDialog} onDismiss={() => setShowEffortDialog(false)}>
+          <Dialog.Title>Effort Scale</Dialog.Title>
+          <Dialog.Content>
+            <RadioButton.Group onValueChange={handleUpdateEffortScale} value={effortScale}>
+              {Object.entries(EFFORT_SCALES).map(([scale, { label }]) => (
+                <RadioButton.Item key={scale} label={label} value={scale} />
+              ))}
+            </RadioButton.Group>
+            <Paragraph style={styles.dialogHint}>
+              RPE 8 is the same effort as 2 RIR. Sets you already logged are
+              shown in the new scale.
+            </Paragraph>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setShowEffortDialog(false)}>Cancel</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
       {/* Delete Account Confirmation Dialog */}
       <Portal>
         <Dialog visible={showDeleteDialog} onDismiss={() => setShowDeleteDialog(false)}>
@@ -387,12 +614,24 @@ export default function SettingsScreen({ navigation }) {
               Are you absolutely sure you want to delete your account? 
               This will permanently delete all your workout data and cannot be undone.
             </Paragraph>
+            <Button
+              mode="outlined"
+              icon="download"
+              onPress={handleFinalBackup}
+              disabled={loading}
+              style={styles.finalBackupButton}
+            >
+              Download My Data First
+            </Button>
             <Paragraph style={styles.warningText}>
               Type "DELETE" to confirm:
             </Paragraph>
             <TextInput
               mode="outlined"
               placeholder="Type DELETE to confirm"
+              value={deleteConfirmation}
+              onChangeText={setDeleteConfirmation}
+              autoCapitalize="characters"
               style={styles.confirmInput}
             />
           </Dialog.Content>
@@ -401,8 +640,8 @@ export default function SettingsScreen({ navigation }) {
             <Button 
               onPress={confirmDeleteAccount}
               loading={loading}
-              disabled={loading}
-              textColor="#d32f2f"
+              disabled={loading || deleteConfirmation !== 'DELETE'}
+              textColor={theme.colors.error}
             >
               Delete Account
             </Button>
@@ -425,10 +664,10 @@ export default function SettingsScreen({ navigation }) {
   );
 }
 
-const styles = StyleSheet.create({
+const createStyles = (theme) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: '#f5f5f5',
+    backgroundColor: theme.colors.background,
   },
   scrollView: {
     flex: 1,
@@ -442,14 +681,14 @@ const styles = StyleSheet.create({
     alignItems: 'center',
   },
   avatar: {
-    backgroundColor: '#6750A4',
+    backgroundColor: theme.colors.primary,
   },
   profileInfo: {
     marginLeft: 16,
     flex: 1,
   },
   email: {
-    color: '#666',
+    color: theme.colors.onSurfaceVariant,
     fontSize: 14,
     marginBottom: 8,
   },
@@ -472,11 +711,23 @@ const styles = StyleSheet.create({
   statNumber: {
     fontSize: 24,
     fontWeight: 'bold',
-    color: '#6750A4',
+    color: theme.colors.primary,
   },
   statLabel: {
     fontSize: 12,
-    color: '#666',
+    color: theme.colors.onSurfaceVariant,
+    marginTop: 4,
+  },
+  statsLoading: {
+    marginTop: 16,
+  },
+  statsDetails: {
+    marginTop: 16,
+  },
+  statDetail: {
+    fontSize: 14,
+    color: theme.colors.onSurfaceVariant,
+    textAlign: 'center',
     marginTop: 4,
   },
   sectionCard: {
@@ -485,7 +736,7 @@ const styles = StyleSheet.create({
     elevation: 2,
   },
   deleteText: {
-    color: '#d32f2f',
+    color: theme.colors.error,
   },
   appInfo: {
     alignItems: 'center',
@@ -494,16 +745,24 @@ const styles = StyleSheet.create({
   },
   appInfoText: {
     fontSize: 12,
-    color: '#999',
+    color: theme.colors.onSurfaceVariant,
     textAlign: 'center',
     marginBottom: 4,
   },
   warningText: {
-    color: '#d32f2f',
+    color: theme.colors.error,
     fontWeight: 'bold',
     marginTop: 16,
     marginBottom: 8,
   },
+  finalBackupButton: {
+    marginTop: 12,
+  },
+  dialogHint: {
+    fontSize: 12,
+    color: theme.colors.onSurfaceVariant,
+    marginTop: 8,
+  },
   confirmInput: {
     marginTop: 8,
   },
@@ -0,0 +1,223 @@
+import React, { useState } from 'react';
+import { View, StyleSheet, ScrollView } from 'react-native';
+import {
+  Text,
+  Card,
+  Title,
+  Button,
+  Chip,
+  List,
+  Divider,
+  Searchbar,
+  Snackbar,
+  useTheme
+} from 'react-native-paper';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useData } from '../contexts/DataContext';
+import { useThemedStyles } from '../contexts/ThemeContext';
+import { MIN_SUPERSET_SIZE, getSupersetLabel } from '../lib/supersets';
+
+// Picks the exercises of a superset or circuit in the order a round goes
+// through them. Opened with `supersetId` to edit or unlink an existing group.
+export default function SupersetScreen({ navigation, route }) {
+  const theme = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { supersetId } = route?.params || {};
+  const { exercises, activeWorkout, saveSuperset, removeSuperset } = useData();
+
+  const existing = (activeWorkout?.supersets || []).find(superset => superset.id === supersetId);
+  const [exerciseIds, setExerciseIds] = useState(() => existing?.exercise_ids || []);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [snackbar, setSnackbar] = useState({ visible: false, message: '' });
+
+  const showSnackbar = (message) => {
+    setSnackbar({ visible: true, message });
+  };
+
+  const hideSnackbar = () => {
+    setSnackbar({ visible: false, message: '' });
+  };
+
+  const getExerciseName = (id) =>
+    exercises.find(exercise => exercise.id === id)?.name || 'Unknown';
+
+  const toggleExercise = (id) => {
+    setExerciseIds(prev => prev.includes(id)
+      ? prev.filter(exerciseId => exerciseId !== id)
+      : [...prev, id]
+    );
+  };
+
+  const filteredExercises = exercises.filter(exercise =>
+    exercise.name.toLowerCase().includes(searchQuery.toLowerCase())
+  );
+
+  const handleSave = async () => {
+    if (exerciseIds.length < MIN_SUPERSET_SIZE) {
+      showSnackbar(`Pick at least ${MIN_SUPERSET_SIZE} exercises`);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      await saveSuperset(exerciseIds, existing?.id);
+      navigation.goBack();
+    } catch (error) {
+      showSnackbar('Failed to save superset');
+      console.error('Save superset error:', error);
+      setLoading(false);
+    }
+  };
+
+  const handleUnlink = async () => {
+    try {
+      setLoading(true);
+      await removeSuperset(existing.id);
+      navigation.goBack();
+    } catch (error) {
+      showSnackbar('Failed to unlink exercises');
+      console.error('Remove superset error:', error);
+      setLoading(false);
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <Title>{existing ? `Edit ${getSupersetLabel(existing)}` : 'Link Exercises'}</Title>
+        <Button mode="text" onPress={() => navigation.goBack()}>
+          Cancel
+        </Button>
+      </View>
+
+      <ScrollView style={styles.content} keyboardShouldPersistTaps="handled">
+        <Card style={styles.card}>
+          <Card.Content>
+            <Text style={styles.label}>Round order</Text>
+            {exerciseIds.length === 0 ? (
+              <Text style={styles.mutedText}>
+                Tap exercises below in the order you do them. Rest starts after the
+                last one in each round.
+              </Text>
+            ) : (
+              <View style={styles.orderRow}>
+                {exerciseIds.map((id, index) => (
+                  <Chip key={id} compact onClose={() => toggleExercise(id)}>
+                    {index + 1}. {getExerciseName(id)}
+                  </Chip>
+                ))}
+              </View>
+            )}
+          </Card.Content>
+        </Card>
+
+        <Card style={styles.card}>
+          <Card.Content>
+            <Searchbar
+              placeholder="Search exercises..."
+              onChangeText={setSearchQuery}
+              value={searchQuery}
+              style={styles.searchBar}
+            />
+            {filteredExercises.map((exercise, index) => (
+              <React.Fragment key={exercise.id}>
+                <List.Item
+                  title={exercise.name}
+                  description={exercise.category}
+                  onPress={() => toggleExercise(exercise.id)}
+                  left={props => (
+                    <List.Icon
+                      {...props}
+                      icon={exerciseIds.includes(exercise.id)
+                        ? 'checkbox-marked-circle'
+                        : 'checkbox-blank-circle-outline'}
+                    />
+                  )}
+                />
+                {index < filteredExercises.length - 1 && <Divider />}
+              </React.Fragment>
+            ))}
+          </Card.Content>
+        </Card>
+
+        <Button
+          mode="contained"
+          onPress={handleSave}
+          loading={loading}
+          disabled={loading || exerciseIds.length < MIN_SUPERSET_SIZE}
+          style={styles.saveButton}
+        >
+          {exerciseIds.length > MIN_SUPERSET_SIZE ? 'Save Circuit' : 'Save Superset'}
+        </Button>
+        {existing && (
+          <Button
+            mode="text"
+            onPress={handleUnlink}
+            disabled={loading}
+            textColor={theme.colors.error}
+            style={styles.unlinkButton}
+          >
+            Unlink Exercises
+          </Button>
+        )}
+      </ScrollView>
+
+      <Snackbar
+        visible={snackbar.visible}
+        onDismiss={hideSnackbar}
+        duration={3000}
+      >
+        {snackbar.message}
+      </Snackbar>
+    </SafeAreaView>
+  );
+}
+
+const createStyles = (theme) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    backgroundColor: theme.colors.surface,
+    elevation: 1,
+  },
+  content: {
+    flex: 1,
+    padding: 20,
+  },
+  card: {
+    marginBottom: 16,
+    elevation: 2,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: theme.colors.onSurface,
+    marginBottom: 8,
+  },
+  mutedText: {
+    fontSize: 14,
+    color: theme.colors.onSurfaceVariant,
+  },
+  orderRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  searchBar: {
+    marginBottom: 8,
+  },
+  saveButton: {
+    marginBottom: 8,
+  },
+  unlinkButton: {
+    marginBottom: 40,
+  },
+});
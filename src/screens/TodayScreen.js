@@ -1,4 +1,4 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect } from 'react';
 import { View, StyleSheet, ScrollView, RefreshControl } from 'react-native';
 import { 
   Text, 
@@ -8,26 +8,79 @@ import {
   Chip,
   List,
   IconButton,
+  Icon,
   Banner,
-  Snackbar
+  Snackbar,
+  Button,
+  useTheme
 } from 'react-native-paper';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { useFocusEffect } from '@react-navigation/native';
 import { useData } from '../contexts/DataContext';
+import { useAuth } from '../contexts/AuthContext';
+import RestTimerBanner from '../components/RestTimerBanner';
+import RoutinePlan from '../components/RoutinePlan';
+import { useRestTimer, DEFAULT_REST_SECONDS } from '../contexts/RestTimerContext';
+import { useThemedStyles } from '../contexts/ThemeContext';
+import { formatDuration, formatElapsed, getWorkoutDuration } from '../lib/dates';
+import { formatSetLabel, getSetNumbers, isWarmup } from '../lib/setTypes';
+import { tracksField } from '../lib/tracking';
+import {
+  getNextInRound,
+  getRoundRestSeconds,
+  getRoundStart,
+  getSuperset,
+  getSupersetLabel,
+  groupSetsInOrder
+} from '../lib/supersets';
+
+function SessionTimer({ workout }) {
+  const styles = useThemedStyles(createStyles);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  return (
+    <Chip icon="timer-outline" mode="flat" style={styles.timerChip}>
+      {formatElapsed(getWorkoutDuration(workout, now))}
+    </Chip>
+  );
+}
 
 export default function TodayScreen({ navigation }) {
+  const theme = useTheme();
+  const styles = useThemedStyles(createStyles);
   const [refreshing, setRefreshing] = useState(false);
   const [snackbar, setSnackbar] = useState({ visible: false, message: '' });
+  const { migrationFailed, retryGuestMigration } = useAuth();
   const { 
+    todayWorkout,
+    activeWorkout,
     todaySets, 
     loading, 
     syncing, 
+    pendingChanges,
+    failedChanges,
+    retryFailedSync,
+    discardFailedSync,
     getTodayStats, 
     deleteSet,
+    addSet,
+    startWorkout,
+    finishWorkout,
     syncData,
     loadTodayWorkout,
-    exercises
+    exercises,
+    personalRecords,
+    getWeightUnit,
+    getTrackingType,
+    formatSet,
+    formatEffort
   } = useData();
+  const { startRest } = useRestTimer();
 
   useFocusEffect(
     useCallback(() => {
@@ -62,6 +115,82 @@ export default function TodayScreen({ navigation }) {
     }
   };
 
+  const handleRetrySync = async () => {
+    try {
+      await retryFailedSync();
+    } catch (error) {
+      showSnackbar('Failed to sync data');
+    }
+  };
+
+  // Drops the changes the server keeps rejecting so the rest can sync
+  const handleDiscardSync = async () => {
+    try {
+      await discardFailedSync();
+      showSnackbar('Unsynced changes discarded');
+    } catch (error) {
+      showSnackbar('Failed to discard changes');
+    }
+  };
+
+  const handleStartWorkout = async () => {
+    try {
+      await startWorkout();
+    } catch (error) {
+      showSnackbar('Failed to start workout');
+    }
+  };
+
+  const handleFinishWorkout = async () => {
+    try {
+      await finishWorkout();
+      showSnackbar('Workout finished');
+    } catch (error) {
+      showSnackbar('Failed to finish workout');
+    }
+  };
+
+  const handleTickPlanned = async (item) => {
+    // AMRAP sets need the reps that were actually done, and timed or
+    // distance exercises their time and distance
+    if (!item.reps || !tracksField(getTrackingType(item.exercise_id), 'reps')) {
+      handleAdjustPlanned(item);
+      return;
+    }
+
+    try {
+      await addSet(item.exercise_id, item.reps, item.weight);
+      // Linked exercises share one rest after the last of the round
+      const superset = getSuperset(activeWorkout, item.exercise_id);
+      if (superset) {
+        if (!getNextInRound(superset, item.exercise_id)) {
+          startRest(
+            getRoundRestSeconds(superset, exercises, DEFAULT_REST_SECONDS),
+            getSupersetLabel(superset)
+          );
+        }
+        return;
+      }
+      const exercise = exercises.find(ex => ex.id === item.exercise_id);
+      startRest(exercise?.rest_seconds ?? DEFAULT_REST_SECONDS, exercise?.name);
+    } catch (error) {
+      showSnackbar('Failed to add set');
+    }
+  };
+
+  const handleAdjustPlanned = (item) => {
+    navigation.navigate('AddSet', {
+      selectedExercise: exercises.find(ex => ex.id === item.exercise_id),
+      prefill: { reps: item.reps, weight: item.weight },
+    });
+  };
+
+  const handleLogRound = (superset) => {
+    navigation.navigate('AddSet', {
+      selectedExercise: exercises.find(ex => ex.id === getRoundStart(superset, todaySets)),
+    });
+  };
+
   const handleAddSet = () => {
     if (exercises.length === 0) {
       navigation.navigate('CreateExercise', { fromAddSet: true });
@@ -78,15 +207,87 @@ export default function TodayScreen({ navigation }) {
     day: 'numeric' 
   });
 
-  // Group sets by exercise
-  const groupedSets = todaySets.reduce((groups, set) => {
-    const exerciseName = set.exercise?.name || 'Unknown Exercise';
-    if (!groups[exerciseName]) {
-      groups[exerciseName] = [];
-    }
-    groups[exerciseName].push(set);
+  // Sets in the order they were done; exercises linked into a superset
+  // share a block and are shown round by round
+  const blocks = groupSetsInOrder(todaySets, todayWorkout?.supersets);
+  const setsByExercise = todaySets.reduce((groups, set) => {
+    groups[set.exercise_id] = [...(groups[set.exercise_id] || []), set];
     return groups;
   }, {});
+  const setNumbers = Object.assign({}, ...Object.values(setsByExercise).map(getSetNumbers));
+  const getExerciseName = (exerciseId) =>
+    exercises.find(ex => ex.id === exerciseId)?.name
+      || setsByExercise[exerciseId]?.[0]?.exercise?.name
+      || 'Unknown Exercise';
+
+  const renderSetRow = (set, label) => (
+    <View key={set.id} style={styles.setRow}>
+      <View style={styles.setInfo}>
+        <Chip mode="outlined" style={styles.setChip}>
+          {label}
+        </Chip>
+        <Text style={[styles.setDetails, isWarmup(set) && styles.warmupText]}>
+          {formatSet(set)}
+          {set.rpe != null && ` · ${formatEffort(set.rpe)}`}
+        </Text>
+        {personalRecords.bySet[set.id] && (
+          <Icon source="trophy" size={18} color={theme.colors.trophy} />
+        )}
+      </View>
+      <IconButton
+        icon="pencil"
+        size={20}
+        onPress={() => navigation.navigate('AddSet', { editSet: set })}
+      />
+      <IconButton
+        icon="delete"
+        size={20}
+        onPress={() => handleDeleteSet(set.id)}
+      />
+    </View>
+  );
+
+  const renderSuperset = ({ key, superset, sets }) => {
+    const rounds = [...new Set(sets.map(set => set.round))];
+    return (
+      <View key={key} style={[styles.exerciseGroup, styles.supersetGroup]}>
+        <View style={styles.supersetHeader}>
+          <Chip compact icon="link-variant" style={styles.supersetChip}>
+            {getSupersetLabel(superset)}
+          </Chip>
+          {activeWorkout && (
+            <IconButton
+              icon="pencil"
+              size={20}
+              onPress={() => navigation.navigate('Superset', { supersetId: superset.id })}
+              accessibilityLabel="Edit superset"
+            />
+          )}
+        </View>
+        <Text style={styles.exerciseName}>
+          {superset.exercise_ids.map(getExerciseName).join(' + ')}
+        </Text>
+        {rounds.map(round => (
+          <View key={round}>
+            <Text style={styles.roundLabel}>Round {round}</Text>
+            {sets
+              .filter(set => set.round === round)
+              .map(set => renderSetRow(set, getExerciseName(set.exercise_id)))}
+          </View>
+        ))}
+        {activeWorkout && (
+          <Button
+            mode="text"
+            icon="plus"
+            onPress={() => handleLogRound(superset)}
+            style={styles.logRoundButton}
+          >
+            {rounds.length === 0 ? 'Start First Round' : 'Log Round'}
+          </Button>
+        )}
+      </View>
+    );
+  };
 
   return (
     <SafeAreaView style={styles.container}>
@@ -99,8 +300,48 @@ export default function TodayScreen({ navigation }) {
         <View style={styles.header}>
           <Title style={styles.date}>{today}</Title>
           {syncing && <Text style={styles.syncingText}>Syncing...</Text>}
+          {!syncing && pendingChanges > 0 && (
+            <Text style={styles.syncingText}>
+              {pendingChanges} {pendingChanges === 1 ? 'change' : 'changes'} waiting to sync
+            </Text>
+          )}
         </View>
 
+        {failedChanges > 0 && (
+          <Banner
+            visible={true}
+            actions={[
+              {
+                label: 'Retry',
+                onPress: handleRetrySync,
+              },
+              {
+                label: 'Discard',
+                onPress: handleDiscardSync,
+              },
+            ]}
+            icon="sync-alert"
+          >
+            {failedChanges} {failedChanges === 1 ? 'change' : 'changes'} could not be synced.
+          </Banner>
+        )}
+
+        {/* Guest data stays on the device until the upload goes through */}
+        {migrationFailed && (
+          <Banner
+            visible={true}
+            actions={[
+              {
+                label: 'Retry',
+                onPress: retryGuestMigration,
+              },
+            ]}
+            icon="cloud-alert"
+          >
+            Some of your guest data could not be uploaded to your account.
+          </Banner>
+        )}
+
         {/* Stats Cards */}
         <View style={styles.statsContainer}>
           <Card style={styles.statCard}>
@@ -125,6 +366,8 @@ export default function TodayScreen({ navigation }) {
           </Card>
         </View>
 
+        <RestTimerBanner />
+
         {/* No exercises banner */}
         {exercises.length === 0 && (
           <Banner
@@ -144,9 +387,81 @@ export default function TodayScreen({ navigation }) {
         {/* Today's workout */}
         <Card style={styles.workoutCard}>
           <Card.Content>
-            <Title>Today's Workout</Title>
+            <View style={styles.workoutHeader}>
+              <Title>Today's Workout</Title>
+              <View style={styles.headerActions}>
+                {todaySets.length > 1 && (
+                  <IconButton
+                    icon="swap-vertical"
+                    size={20}
+                    onPress={() => navigation.navigate('ReorderSets', { workoutId: todayWorkout.id })}
+                    accessibilityLabel="Reorder sets"
+                  />
+                )}
+                {activeWorkout?.started_at && <SessionTimer workout={activeWorkout} />}
+              </View>
+            </View>
+
+            {activeWorkout ? (
+              <View style={styles.sessionActions}>
+                <Button
+                  mode="outlined"
+                  icon="flag-checkered"
+                  onPress={handleFinishWorkout}
+                  style={styles.sessionButton}
+                >
+                  Finish Workout
+                </Button>
+                <Button
+                  mode="outlined"
+                  icon="link-variant"
+                  onPress={() => navigation.navigate('Superset')}
+                  style={styles.sessionButton}
+                >
+                  Superset
+                </Button>
+              </View>
+            ) : (
+              <>
+                {todayWorkout?.ended_at && getWorkoutDuration(todayWorkout) !== null && (
+                  <Text style={styles.sessionSummary}>
+                    Finished · {formatDuration(getWorkoutDuration(todayWorkout))}
+                  </Text>
+                )}
+                <View style={styles.sessionActions}>
+                  <Button
+                    mode="contained-tonal"
+                    icon="play"
+                    onPress={handleStartWorkout}
+                    style={styles.sessionButton}
+                  >
+                    {todayWorkout?.ended_at ? 'Start New Workout' : 'Start Workout'}
+                  </Button>
+                  <Button
+                    mode="outlined"
+                    icon="clipboard-list-outline"
+                    onPress={() => navigation.navigate('Routines')}
+                    style={styles.sessionButton}
+                  >
+                    From Routine
+                  </Button>
+                </View>
+              </>
+            )}
+
+            {todayWorkout?.plan?.length > 0 && (
+              <RoutinePlan
+                plan={todayWorkout.plan}
+                sets={todaySets}
+                exercises={exercises}
+                getWeightUnit={getWeightUnit}
+                finished={!!todayWorkout.ended_at}
+                onTick={handleTickPlanned}
+                onAdjust={handleAdjustPlanned}
+              />
+            )}
             
-            {todaySets.length === 0 ? (
+            {blocks.length === 0 ? (
               <View style={styles.emptyState}>
                 <Text style={styles.emptyText}>
                   {exercises.length === 0 
@@ -157,27 +472,15 @@ export default function TodayScreen({ navigation }) {
               </View>
             ) : (
               <View style={styles.setsContainer}>
-                {Object.entries(groupedSets).map(([exerciseName, sets]) => (
-                  <View key={exerciseName} style={styles.exerciseGroup}>
-                    <Text style={styles.exerciseName}>{exerciseName}</Text>
-                    {sets.map((set, index) => (
-                      <View key={set.id} style={styles.setRow}>
-                        <View style={styles.setInfo}>
-                          <Chip mode="outlined" style={styles.setChip}>
-                            Set {index + 1}
-                          </Chip>
-                          <Text style={styles.setDetails}>
-                            {set.reps} reps
-                            {set.weight && ` @ ${set.weight}kg`}
-                          </Text>
-                        </View>
-                        <IconButton
-                          icon="delete"
-                          size={20}
-                          onPress={() => handleDeleteSet(set.id)}
-                        />
-                      </View>
-                    ))}
+                {blocks.map(block => block.superset ? renderSuperset(block) : (
+                  <View key={block.key} style={styles.exerciseGroup}>
+                    <Text
+                      style={styles.exerciseName}
+                      onPress={() => navigation.navigate('ExerciseDetail', { exerciseId: block.key })}
+                    >
+                      {getExerciseName(block.key)}
+                    </Text>
+                    {block.sets.map(set => renderSetRow(set, formatSetLabel(set, setNumbers[set.id])))}
                   </View>
                 ))}
               </View>
@@ -189,6 +492,7 @@ export default function TodayScreen({ navigation }) {
       <FAB
         icon="plus"
         style={styles.fab}
+        color={theme.colors.onPrimary}
         onPress={handleAddSet}
         label={todaySets.length === 0 ? "Add Set" : undefined}
       />
@@ -204,10 +508,10 @@ export default function TodayScreen({ navigation }) {
   );
 }
 
-const styles = StyleSheet.create({
+const createStyles = (theme) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: '#f5f5f5',
+    backgroundColor: theme.colors.background,
   },
   scrollView: {
     flex: 1,
@@ -222,7 +526,7 @@ const styles = StyleSheet.create({
   },
   syncingText: {
     fontSize: 12,
-    color: '#666',
+    color: theme.colors.onSurfaceVariant,
     marginTop: 4,
   },
   statsContainer: {
@@ -242,24 +546,49 @@ const styles = StyleSheet.create({
   statNumber: {
     fontSize: 28,
     fontWeight: 'bold',
-    color: '#6750A4',
+    color: theme.colors.primary,
   },
   statLabel: {
     fontSize: 12,
-    color: '#666',
+    color: theme.colors.onSurfaceVariant,
     marginTop: 4,
   },
   workoutCard: {
     margin: 20,
     elevation: 2,
   },
+  workoutHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  timerChip: {
+    backgroundColor: theme.colors.primaryContainer,
+  },
+  sessionButton: {
+    marginTop: 12,
+  },
+  sessionActions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  sessionSummary: {
+    fontSize: 14,
+    color: theme.colors.onSurfaceVariant,
+    marginTop: 4,
+  },
   emptyState: {
     paddingVertical: 40,
     alignItems: 'center',
   },
   emptyText: {
     fontSize: 16,
-    color: '#666',
+    color: theme.colors.onSurfaceVariant,
     textAlign: 'center',
   },
   setsContainer: {
@@ -268,11 +597,34 @@ const styles = StyleSheet.create({
   exerciseGroup: {
     marginBottom: 20,
   },
+  supersetGroup: {
+    borderLeftWidth: 3,
+    borderLeftColor: theme.colors.primary,
+    paddingLeft: 12,
+  },
+  supersetHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  supersetChip: {
+    alignSelf: 'flex-start',
+    backgroundColor: theme.colors.secondaryContainer,
+  },
+  roundLabel: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: theme.colors.onSurfaceVariant,
+    marginTop: 4,
+  },
+  logRoundButton: {
+    alignSelf: 'flex-start',
+  },
   exerciseName: {
     fontSize: 18,
     fontWeight: 'bold',
     marginBottom: 8,
-    color: '#333',
+    color: theme.colors.onSurface,
   },
   setRow: {
     flexDirection: 'row',
@@ -280,7 +632,7 @@ const styles = StyleSheet.create({
     justifyContent: 'space-between',
     paddingVertical: 8,
     paddingHorizontal: 12,
-    backgroundColor: '#f8f9fa',
+    backgroundColor: theme.colors.elevation.level1,
     borderRadius: 8,
     marginBottom: 4,
   },
@@ -294,13 +646,16 @@ const styles = StyleSheet.create({
   },
   setDetails: {
     fontSize: 16,
-    color: '#333',
+    color: theme.colors.onSurface,
+  },
+  warmupText: {
+    color: theme.colors.onSurfaceVariant,
   },
   fab: {
     position: 'absolute',
     margin: 16,
     right: 0,
     bottom: 0,
-    backgroundColor: '#6750A4',
+    backgroundColor: theme.colors.primary,
   },
 });
\ No newline at end of file
@@ -0,0 +1,65 @@
+// Deletes the calling user's data and their auth user. Deployed with
+//   supabase functions deploy delete-account
+// Runs with the service role key, since clients cannot delete auth users.
+import { createClient } from 'npm:@supabase/supabase-js@2';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+};
+
+const json = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const token = req.headers.get('Authorization')?.replace('Bearer ', '');
+  if (!token) return json({ error: 'Missing authorization' }, 401);
+
+  const admin = createClient(
+    Deno.env.get('SUPABASE_URL')!,
+    Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!,
+  );
+
+  const { data: { user }, error: userError } = await admin.auth.getUser(token);
+  if (userError || !user) return json({ error: 'Invalid session' }, 401);
+
+  try {
+    const { data: workouts, error: workoutsError } = await admin
+      .from('workouts')
+      .select('id')
+      .eq('user_id', user.id);
+    if (workoutsError) throw workoutsError;
+
+    const workoutIds = (workouts ?? []).map((workout) => workout.id);
+    for (let i = 0; i < workoutIds.length; i += 100) {
+      const { error } = await admin
+        .from('sets')
+        .delete()
+        .in('workout_id', workoutIds.slice(i, i + 100));
+      if (error) throw error;
+    }
+
+    for (const table of ['workouts', 'routines', 'exercises']) {
+      const { error } = await admin.from(table).delete().eq('user_id', user.id);
+      if (error) throw error;
+    }
+
+    const { error: profileError } = await admin.from('profiles').delete().eq('id', user.id);
+    if (profileError) throw profileError;
+
+    const { error: deleteError } = await admin.auth.admin.deleteUser(user.id);
+    if (deleteError) throw deleteError;
+
+    return json({ deleted: true });
+  } catch (error) {
+    console.error('Error deleting account:', error);
+    return json({ error: error.message ?? 'Account deletion failed' }, 500);
+  }
+});